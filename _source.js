@@ -13,27 +13,733 @@
  * limitations under the License.
  */
 import {
-  assert, bytesToString, createPromiseCapability, createValidAbsoluteUrl,
-  FormatError, info, InvalidPDFException, isBool, isNum, isString,
-  PermissionFlag, shadow, stringToPDFString, stringToUTF8String, unreachable,
-  warn
+  arraysToBytes, assert, bytesToString, createPromiseCapability,
+  createValidAbsoluteUrl, FormatError, info, InvalidPDFException, isBool, isNum,
+  isSpace, isString, PermissionFlag, shadow, stringToPDFString,
+  stringToUTF8String, unreachable, URL, warn
 } from '../shared/util';
 import {
-  clearPrimitiveCaches, Cmd, Dict, isCmd, isDict, isName, isRef, isRefsEqual,
-  isStream, Ref, RefSet, RefSetCache
+  clearPrimitiveCaches, Cmd, Dict, isCmd, isDict, isEOF, isName, isRef,
+  isRefsEqual, isStream, Name, Ref, RefSet, RefSetCache
 } from './primitives';
 import { Lexer, Parser } from './parser';
 import {
-  MissingDataException, toRomanNumerals, XRefEntryException, XRefParseException
+  getInheritableProperty, MissingDataException, toRomanNumerals,
+  XRefEntryException, XRefParseException
 } from './core_utils';
 import { ChunkedStream } from './chunked_stream';
 import { CipherTransformFactory } from './crypto';
 import { ColorSpace } from './colorspace';
+import { Stream } from './stream';
+
+const DiagnosticSeverity = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+const DiagnosticCategory = {
+  // A recovery heuristic was used, in order to handle a corrupt document.
+  RECOVERY: 'recovery',
+  // A (corrupt or unsupported) entry was skipped.
+  SKIPPED: 'skipped',
+};
+
+const DiagnosticCode = {
+  XREF_INDEXING_OBJECTS: 'XREF_INDEXING_OBJECTS',
+  XREF_INVALID_ENCRYPT: 'XREF_INVALID_ENCRYPT',
+  XREF_INVALID_ROOT: 'XREF_INVALID_ROOT',
+  XREF_READ_ERROR: 'XREF_READ_ERROR',
+  XREF_SECTION_ALREADY_PARSED: 'XREF_SECTION_ALREADY_PARSED',
+  XREF_PREV_IS_REFERENCE: 'XREF_PREV_IS_REFERENCE',
+  XREF_NESTED_TRAILER: 'XREF_NESTED_TRAILER',
+  XREF_FIRST_OBJECT_RENUMBERED: 'XREF_FIRST_OBJECT_RENUMBERED',
+  XREF_MISSING_ENDOBJ: 'XREF_MISSING_ENDOBJ',
+  XREF_OBJECT_NUMBER_IN_CMD: 'XREF_OBJECT_NUMBER_IN_CMD',
+  OBJSTM_ENDOBJ_SKIPPED: 'OBJSTM_ENDOBJ_SKIPPED',
+  OBJSTM_ENTRY_CONFLICT: 'OBJSTM_ENTRY_CONFLICT',
+  OBJSTM_EXTENDS_CIRCULAR: 'OBJSTM_EXTENDS_CIRCULAR',
+  OBJSTM_INVALID: 'OBJSTM_INVALID',
+  METADATA_INVALID: 'METADATA_INVALID',
+  OUTLINE_UNREADABLE: 'OUTLINE_UNREADABLE',
+  OUTLINE_ITEM_MISSING: 'OUTLINE_ITEM_MISSING',
+  OUTLINE_ITEM_INVALID: 'OUTLINE_ITEM_INVALID',
+  PERMISSIONS_UNREADABLE: 'PERMISSIONS_UNREADABLE',
+  PAGE_LABELS_UNREADABLE: 'PAGE_LABELS_UNREADABLE',
+  PAGE_INDEX_UNREADABLE: 'PAGE_INDEX_UNREADABLE',
+  PAGE_TREE_CIRCULAR_REFERENCE: 'PAGE_TREE_CIRCULAR_REFERENCE',
+  PAGE_TREE_INLINE_PAGE: 'PAGE_TREE_INLINE_PAGE',
+  PAGE_TREE_INLINE_NODE: 'PAGE_TREE_INLINE_NODE',
+  PAGE_TREE_SHARED_NODE: 'PAGE_TREE_SHARED_NODE',
+  PAGE_TREE_INVALID_NODE: 'PAGE_TREE_INVALID_NODE',
+  PAGE_TREE_INVALID_KIDS: 'PAGE_TREE_INVALID_KIDS',
+  PAGE_TREE_INVALID_LEAF: 'PAGE_TREE_INVALID_LEAF',
+  PAGE_TREE_PARENT_MISMATCH: 'PAGE_TREE_PARENT_MISMATCH',
+  PAGE_TREE_COUNT_MISMATCH: 'PAGE_TREE_COUNT_MISMATCH',
+  PAGE_TREE_NUM_PAGES_MISMATCH: 'PAGE_TREE_NUM_PAGES_MISMATCH',
+  VIEWER_PREFERENCE_INVALID: 'VIEWER_PREFERENCE_INVALID',
+  DEST_DICT_INVALID: 'DEST_DICT_INVALID',
+  ACTION_TYPE_INVALID: 'ACTION_TYPE_INVALID',
+  ACTION_TYPE_UNSUPPORTED: 'ACTION_TYPE_UNSUPPORTED',
+  NAME_TREE_DEPTH_LIMIT: 'NAME_TREE_DEPTH_LIMIT',
+  NAME_TREE_EXHAUSTIVE_SEARCH: 'NAME_TREE_EXHAUSTIVE_SEARCH',
+  NAME_TREE_KEY_OUT_OF_ORDER: 'NAME_TREE_KEY_OUT_OF_ORDER',
+  FILESPEC_UNSUPPORTED: 'FILESPEC_UNSUPPORTED',
+  FILESPEC_CONTENT_INVALID: 'FILESPEC_CONTENT_INVALID',
+  REPAIR_OBJECT_SKIPPED: 'REPAIR_OBJECT_SKIPPED',
+};
+
+/**
+ * @typedef {Object} DiagnosticEntry
+ * @property {string} severity - See `DiagnosticSeverity`.
+ * @property {string} code - A stable identifier, see `DiagnosticCode`.
+ * @property {string} message - A human readable description.
+ * @property {Ref|null} ref - The reference of the affected object, if known.
+ * @property {number|null} offset - The byte offset, if known.
+ * @property {string|null} category - See `DiagnosticCategory`.
+ */
+
+/**
+ * Collects the problems that were encountered while parsing a document, as
+ * well as the recovery heuristics that were used. The entries are forwarded
+ * to the console, as before, and to an optional sink function.
+ */
+class DiagnosticsCollector {
+  constructor(sink = null) {
+    this._sink = sink;
+    this._entries = [];
+    // Parsing is restarted after a `MissingDataException`, hence the same
+    // problem can be encountered multiple times.
+    this._entryKeys = new Set();
+  }
+
+  /**
+   * @param {function|null} sink - A function that is invoked with every new
+   *   `DiagnosticEntry`.
+   */
+  setSink(sink) {
+    this._sink = sink;
+  }
+
+  report({ severity = DiagnosticSeverity.WARNING, code, message, ref = null,
+           offset = null, category = null, }) {
+    if (severity === DiagnosticSeverity.INFO) {
+      info(message);
+    } else {
+      warn(message);
+    }
+    const key = `${code}|${ref}|${offset}|${message}`;
+    if (this._entryKeys.has(key)) {
+      return;
+    }
+    this._entryKeys.add(key);
+
+    const entry = { severity, code, message, ref, offset, category, };
+    this._entries.push(entry);
+    if (this._sink) {
+      this._sink(entry);
+    }
+  }
+
+  /**
+   * @returns {Object} An object containing all `entries`, the `recoveries`
+   *   and `skipped` subsets of them, and the number of entries per severity.
+   */
+  getReport() {
+    const counts = Object.create(null);
+    for (const key in DiagnosticSeverity) {
+      counts[DiagnosticSeverity[key]] = 0;
+    }
+    for (const entry of this._entries) {
+      counts[entry.severity]++;
+    }
+    return {
+      entries: this._entries.slice(),
+      recoveries: this._entries.filter((entry) => {
+        return entry.category === DiagnosticCategory.RECOVERY;
+      }),
+      skipped: this._entries.filter((entry) => {
+        return entry.category === DiagnosticCategory.SKIPPED;
+      }),
+      counts,
+    };
+  }
+
+  clear() {
+    this._entries.length = 0;
+    this._entryKeys.clear();
+  }
+}
+
+/**
+ * Reports a problem to the `DiagnosticsCollector` of the XRef, falling back
+ * to the console when it's not available (e.g. for standalone dictionaries).
+ */
+function reportDiagnostic(xref, entry) {
+  if (xref && xref.diagnostics instanceof DiagnosticsCollector) {
+    xref.diagnostics.report(entry);
+  } else if (entry.severity === DiagnosticSeverity.INFO) {
+    info(entry.message);
+  } else {
+    warn(entry.message);
+  }
+}
 
 function fetchDestination(dest) {
   return isDict(dest) ? dest.get('D') : dest;
 }
 
+const LETTER_SIZE_MEDIABOX = [0, 0, 612, 792];
+
+const ATTACHMENT_CHUNK_SIZE = 65536;
+
+/**
+ * Copies the inheritable attributes of a page, see the specification
+ * (7.7.3.4), that it inherits from its ancestors, such that they're preserved
+ * when the page is moved to another parent.
+ * @param {Dict} pageDict - The page dictionary to update.
+ * @param {Dict} sourceDict - The page dictionary, at its current position in
+ *   the page tree.
+ */
+function materializeInheritedAttributes(pageDict, sourceDict) {
+  for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+    // Keep references as-is, unlike `getInheritableProperty`, to avoid
+    // duplicating e.g. shared /Resources dictionaries.
+    const visitedNodes = new RefSet();
+    let dict = sourceDict;
+    while (isDict(dict) && !pageDict.has(key)) {
+      const value = dict.getRaw(key);
+      if (value !== undefined) {
+        pageDict.set(key, value);
+        break;
+      }
+      const parentRef = dict.getRaw('Parent');
+      if (!isRef(parentRef) || visitedNodes.has(parentRef)) {
+        break;
+      }
+      visitedNodes.put(parentRef);
+      dict = dict.xref.fetch(parentRef);
+    }
+  }
+  // Prevent the page from inheriting values from its new ancestors, where
+  // the default values were previously used.
+  if (!pageDict.has('Rotate')) {
+    pageDict.set('Rotate', 0);
+  }
+  if (!pageDict.has('CropBox') && pageDict.has('MediaBox')) {
+    pageDict.set('CropBox', pageDict.getRaw('MediaBox'));
+  }
+}
+
+function isPageLabelStyle(style) {
+  return ['D', 'R', 'r', 'A', 'a'].includes(style);
+}
+
+function isPageLabelStart(start) {
+  return Number.isInteger(start) && start >= 1;
+}
+
+/**
+ * Formats a page number according to a page label numbering style, see
+ * `PageLabelRange`.
+ */
+function formatPageLabel(style, number) {
+  switch (style) {
+    case 'D':
+      return number.toString();
+    case 'R':
+    case 'r':
+      return toRomanNumerals(number, style === 'r');
+    case 'A':
+    case 'a':
+      const LIMIT = 26; // Use only the characters A-Z, or a-z.
+      const A_UPPER_CASE = 0x41, A_LOWER_CASE = 0x61;
+
+      const baseCharCode = (style === 'a' ? A_LOWER_CASE : A_UPPER_CASE);
+      const letterIndex = number - 1;
+      const character = String.fromCharCode(baseCharCode +
+                                            (letterIndex % LIMIT));
+      const charBuf = [];
+      for (let j = 0, jj = (letterIndex / LIMIT) | 0; j <= jj; j++) {
+        charBuf.push(character);
+      }
+      return charBuf.join('');
+  }
+  return '';
+}
+
+// The parameters of the explicit destination types, see the specification
+// (12.3.2.2), in the order in which they appear in the destination array.
+const DestinationParameters = {
+  XYZ: ['left', 'top', 'zoom'],
+  Fit: [],
+  FitH: ['top'],
+  FitV: ['left'],
+  FitR: ['left', 'bottom', 'right', 'top'],
+  FitB: [],
+  FitBH: ['top'],
+  FitBV: ['left'],
+};
+
+/**
+ * Converts an explicit destination array into a `{ pageIndex, fit, coords }`
+ * object, where `coords` contains the (named) parameters of the destination.
+ * @param {Array} dest
+ * @param {RefSetCache} pageIndices - Maps page references to page indices.
+ * @returns {Object|null}
+ */
+function normalizeDestination(dest, pageIndices) {
+  if (!Array.isArray(dest) || !isName(dest[1]) ||
+      !DestinationParameters[dest[1].name]) {
+    return null;
+  }
+  let pageIndex = null;
+  if (isRef(dest[0])) {
+    pageIndex = (pageIndices.has(dest[0]) ? pageIndices.get(dest[0]) : null);
+  } else if (Number.isInteger(dest[0]) && dest[0] >= 0) {
+    // Some bad PDF generators use page indices instead of page references.
+    pageIndex = dest[0];
+  }
+  const fit = dest[1].name, coords = {};
+  DestinationParameters[fit].forEach((key, i) => {
+    const value = dest[i + 2];
+    coords[key] = (typeof value === 'number' ? value : null);
+  });
+  return { pageIndex, fit, coords, };
+}
+
+/**
+ * Finds the offset of the last cross-reference section, i.e. the value of
+ * the last `startxref` keyword, in the data of a complete PDF file.
+ * @returns {number} The offset, or zero if it cannot be found.
+ */
+function findStartXRef(bytes) {
+  const data = bytesToString(bytes.subarray(Math.max(0, bytes.length - 1024)));
+  const match = /startxref\s+(\d+)(?![\s\S]*startxref)/.exec(data);
+  return (match ? parseInt(match[1], 10) : 0);
+}
+
+/**
+ * Returns the base URI of the document, i.e. the /Base entry of the /URI
+ * dictionary in the catalog (12.6.4.7), or `null`.
+ */
+function getDocumentUriBase(xref) {
+  const catDict = (xref ? xref.getCatalogObj() : null);
+  const uriDict = (isDict(catDict) ? catDict.get('URI') : null);
+  const base = (isDict(uriDict) ? uriDict.get('Base') : null);
+  return (isString(base) && base.length > 0 ? base : null);
+}
+
+/**
+ * @typedef {Object} LinkPolicyOptions
+ * @property {Array<string>} [allowedProtocols] - The allowed URL protocols,
+ *   including the trailing colon. The default value contains the protocols
+ *   that `createValidAbsoluteUrl` accepts.
+ * @property {Array<string>|null} [allowedDomains] - If specified, only URLs
+ *   with these host names, or their subdomains, are allowed. URLs without a
+ *   host name, e.g. `mailto:` and `tel:` URLs, are thus blocked as well.
+ * @property {Array<string>} [blockedDomains] - URLs with these host names,
+ *   or their subdomains, are blocked. URLs without a host name are only
+ *   subject to `allowedProtocols` and `allowedDomains`.
+ * @property {boolean} [addDefaultProtocol] - Whether URLs beginning with
+ *   'www.' default to using the 'http://' protocol. The default is `true`.
+ * @property {boolean} [recoverJavaScriptUrls] - Whether URLs are recovered
+ *   from JavaScript actions using the built-in formats, such as
+ *   `window.open('http://example.com')`. The default is `true`.
+ * @property {Array<RegExp>} [recoveryPatterns] - Additional patterns that are
+ *   used to recover URLs from JavaScript actions, regardless of the
+ *   `recoverJavaScriptUrls` option; the URL is taken from the capturing group
+ *   named `url`, or else from the first capturing group. Each pattern is
+ *   matched against the entire script, also when it has the `g` or `y` flag.
+ * @property {function} [onLink] - A function that is called, with an object
+ *   containing the `url`, `unsafeUrl` and `baseUrl`, for every URL that the
+ *   other rules allow. It may return a string to rewrite the URL, which must
+ *   be an absolute URL that the other rules allow, or `false` (or `null`) to
+ *   block it; any other value allows the URL as-is.
+ */
+
+/**
+ * A configurable policy deciding which links are made available, used by
+ * `Catalog.parseDestDictionary` instead of `createValidAbsoluteUrl`.
+ */
+class LinkPolicy {
+  /**
+   * @param {LinkPolicyOptions} [options]
+   */
+  constructor({
+    allowedProtocols = ['http:', 'https:', 'ftp:', 'mailto:', 'tel:'],
+    allowedDomains = null,
+    blockedDomains = [],
+    addDefaultProtocol = true,
+    recoverJavaScriptUrls = true,
+    recoveryPatterns = [],
+    onLink = null,
+  } = {}) {
+    this.allowedProtocols = allowedProtocols.map((protocol) => {
+      return protocol.toLowerCase();
+    });
+    this.allowedDomains = (allowedDomains ?
+                           allowedDomains.map(normalizeDomain) : null);
+    this.blockedDomains = blockedDomains.map(normalizeDomain);
+    this.addDefaultProtocol = addDefaultProtocol;
+    this.recoverJavaScriptUrls = recoverJavaScriptUrls;
+    this.recoveryPatterns = recoveryPatterns;
+    this.onLink = onLink;
+  }
+
+  /**
+   * @typedef {Object} LinkDecision
+   * @property {boolean} allowed
+   * @property {string} reason - One of 'allowed', 'invalid-url',
+   *   'protocol-not-allowed', 'domain-blocked', 'domain-not-allowed',
+   *   'blocked-by-callback' and 'rewritten-by-callback'.
+   * @property {string|null} url - The absolute URL, if it's allowed.
+   * @property {string|null} baseUrl - The base URL that was used to resolve a
+   *   relative URL.
+   */
+
+  /**
+   * @param {string} url - The, possibly relative, URL.
+   * @param {Array<string|null>} baseUrls - The base URLs to try, in order.
+   * @returns {LinkDecision}
+   */
+  evaluate(url, baseUrls) {
+    const decide = (allowed, reason, absoluteUrl = null, baseUrl = null) => {
+      return { allowed, reason, url: absoluteUrl, baseUrl, };
+    };
+    const isRelativeUrl = !parseUrl(url, null);
+    let absoluteUrl = null, baseUrl = null;
+    for (const base of baseUrls) {
+      absoluteUrl = parseUrl(url, base);
+      if (absoluteUrl) {
+        baseUrl = (isRelativeUrl ? base : null);
+        break;
+      }
+    }
+    let reason = this._checkUrl(absoluteUrl);
+    if (reason) {
+      return decide(false, reason);
+    }
+    if (typeof this.onLink === 'function') {
+      const result = this.onLink({
+        url: absoluteUrl.href,
+        unsafeUrl: url,
+        baseUrl,
+      });
+      if (result === false || result === null) {
+        return decide(false, 'blocked-by-callback');
+      }
+      if (typeof result === 'string' && result !== absoluteUrl.href) {
+        // The rewritten URL must satisfy the other rules as well.
+        const rewrittenUrl = parseUrl(result, null);
+        reason = this._checkUrl(rewrittenUrl);
+        if (reason) {
+          return decide(false, reason);
+        }
+        return decide(true, 'rewritten-by-callback', rewrittenUrl.href,
+                      baseUrl);
+      }
+    }
+    return decide(true, 'allowed', absoluteUrl.href, baseUrl);
+  }
+
+  /**
+   * @returns {string|null} The reason why the URL isn't allowed, if any.
+   * @private
+   */
+  _checkUrl(absoluteUrl) {
+    if (!absoluteUrl) {
+      return 'invalid-url';
+    }
+    if (!this.allowedProtocols.includes(absoluteUrl.protocol)) {
+      return 'protocol-not-allowed';
+    }
+    const hostname = normalizeDomain(absoluteUrl.hostname);
+    const matches = (domain) => {
+      return hostname === domain || hostname.endsWith('.' + domain);
+    };
+    if (hostname && this.blockedDomains.some(matches)) {
+      return 'domain-blocked';
+    }
+    // Since URLs without a host name cannot match any of the allowed domains,
+    // they're not allowed either.
+    if (this.allowedDomains &&
+        !(hostname && this.allowedDomains.some(matches))) {
+      return 'domain-not-allowed';
+    }
+    return null;
+  }
+
+  /**
+   * Applies the policy to the URLs of a parsed action, see
+   * `Catalog.parseAction`, i.e. the `uri` of URI actions, the `url` of
+   * SubmitForm actions and the `script` of JavaScript actions that open a URL.
+   * Blocked values are replaced by `null`, and the original value is kept in a
+   * property prefixed by `unsafe` (e.g. `unsafeUri`); the decision is added
+   * as a `linkDecision` property, like in `Catalog.parseDestDictionary`.
+   * @param {Object} action - The parsed action, which is modified.
+   * @param {Array<string|null>} baseUrls - The base URLs to try, in order.
+   * @returns {Object} The action.
+   */
+  applyToAction(action, baseUrls) {
+    let key, url;
+    switch (action.type) {
+      case 'URI':
+        key = 'uri';
+        url = action.uri;
+        if (isString(url) && this.addDefaultProtocol) {
+          url = addDefaultProtocolToUrl(url);
+        }
+        break;
+      case 'SubmitForm':
+        key = 'url';
+        url = action.url;
+        break;
+      case 'JavaScript':
+        key = 'script';
+        const recovered = (action.script !== null ?
+                           recoverJavaScriptUrl(action.script, this) : null);
+        url = (recovered ? recovered.url : null);
+        break;
+      default:
+        return action;
+    }
+    if (!isString(url)) {
+      return action;
+    }
+    const decision = this.evaluate(tryConvertUrlEncoding(url), baseUrls);
+    const unsafeKey = 'unsafe' + key.charAt(0).toUpperCase() + key.slice(1);
+    action[unsafeKey] = action[key];
+    if (!decision.allowed) {
+      action[key] = null;
+    } else if (key !== 'script') {
+      action[key] = decision.url;
+    }
+    action.linkDecision = {
+      allowed: decision.allowed,
+      reason: decision.reason,
+    };
+    return action;
+  }
+}
+
+// Lets URLs beginning with 'www.' default to using the 'http://' protocol.
+function addDefaultProtocolToUrl(url) {
+  return (url.startsWith('www.') ? `http://${url}` : url);
+}
+
+// According to ISO 32000-1:2008, section 12.6.4.7, URIs should be encoded
+// in 7-bit ASCII. Some bad PDFs use UTF-8 encoding; see Bugzilla 1122280.
+function tryConvertUrlEncoding(url) {
+  try {
+    return stringToUTF8String(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Attempts to recover a URL from (the script of) a JavaScript action, using
+ * the built-in formats, unless the link policy disables them, and the
+ * additional formats of the link policy.
+ * @param {string} script
+ * @param {LinkPolicy|null} linkPolicy
+ * @returns {Object|null} An object with `url` and `newWindow` properties.
+ */
+function recoverJavaScriptUrl(script, linkPolicy) {
+  if (!linkPolicy || linkPolicy.recoverJavaScriptUrls) {
+    // Attempt to recover valid URLs from `JS` entries with certain
+    // white-listed formats:
+    //  - window.open('http://example.com')
+    //  - app.launchURL('http://example.com', true)
+    const URL_OPEN_METHODS = [
+      'app.launchURL',
+      'window.open'
+    ];
+    const regex = new RegExp(
+      '^\\s*(' + URL_OPEN_METHODS.join('|').split('.').join('\\.') +
+      ')\\((?:\'|\")([^\'\"]*)(?:\'|\")(?:,\\s*(\\w+)\\)|\\))', 'i');
+
+    const jsUrl = regex.exec(script);
+    if (jsUrl && jsUrl[2]) {
+      return {
+        url: jsUrl[2],
+        newWindow: (jsUrl[3] === 'true' && jsUrl[1] === 'app.launchURL'),
+      };
+    }
+  }
+  if (linkPolicy) {
+    // Also try the additional formats of the link policy, which apply even
+    // when the built-in formats are disabled.
+    for (const pattern of linkPolicy.recoveryPatterns) {
+      // Patterns with the `g` or `y` flag start matching at their `lastIndex`,
+      // which is left behind by the previous match.
+      pattern.lastIndex = 0;
+      const match = pattern.exec(script);
+      const url = match && ((match.groups && match.groups.url) || match[1]);
+      if (url) {
+        return { url, newWindow: false, };
+      }
+    }
+  }
+  return null;
+}
+
+function normalizeDomain(domain) {
+  return domain.toLowerCase().replace(/^\.+|\.+$/g, '');
+}
+
+function parseUrl(url, baseUrl) {
+  try {
+    return (baseUrl ? new URL(url, baseUrl) : new URL(url));
+  } catch (ex) {
+    return null;
+  }
+}
+
+/**
+ * Returns a named (string) or explicit (array) destination, or `null`.
+ */
+function parseActionDestination(dest) {
+  if (isName(dest)) {
+    return dest.name;
+  }
+  if (isString(dest) || Array.isArray(dest)) {
+    return dest;
+  }
+  return null;
+}
+
+/**
+ * Returns the file name of a file specification, which is either a string or
+ * a dictionary, see the specification (7.11).
+ */
+function parseActionFileName(fileSpec) {
+  if (isDict(fileSpec)) {
+    fileSpec = ['UF', 'F', 'Unix', 'Mac', 'DOS'].map((key) => {
+      return fileSpec.get(key);
+    }).find(isString);
+  }
+  return (isString(fileSpec) ? stringToPDFString(fileSpec) : null);
+}
+
+function parseActionScript(js) {
+  if (isStream(js)) {
+    js = bytesToString(js.getBytes());
+  }
+  return (isString(js) ? stringToPDFString(js) : null);
+}
+
+/**
+ * Returns the sequence of actions that is performed for an action dictionary,
+ * i.e. the action itself followed by its /Next actions (12.6.2), which may in
+ * turn have /Next actions of their own.
+ * @param {Dict} action
+ * @returns {Array<Dict>} The action dictionaries, in the order in which they
+ *   should be performed.
+ */
+function getActionSequence(action) {
+  const actions = [], stack = [action];
+  // Prevent infinite loops, caused by circular /Next entries.
+  const processed = new Set(), processedRefs = new RefSet();
+
+  while (stack.length > 0) {
+    let obj = stack.pop();
+    if (isRef(obj)) {
+      if (processedRefs.has(obj)) {
+        continue;
+      }
+      processedRefs.put(obj);
+      obj = action.xref.fetch(obj);
+    }
+    if (!isDict(obj) || processed.has(obj)) {
+      continue;
+    }
+    processed.add(obj);
+    actions.push(obj);
+
+    let next = obj.getRaw('Next');
+    if (isRef(next)) {
+      const nextObj = action.xref.fetch(next);
+      if (Array.isArray(nextObj)) {
+        next = nextObj;
+      }
+    }
+    const nextActions = toArray(next);
+    for (let i = nextActions.length - 1; i >= 0; i--) {
+      stack.push(nextActions[i]);
+    }
+  }
+  return actions;
+}
+
+/**
+ * Returns a single value, or an array of values, as an array.
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]);
+}
+
+/**
+ * Checks if a page tree node is a page, i.e. a leaf of the tree, rather than
+ * an intermediate node. Besides pages with a /Type entry, nodes without /Kids
+ * are accepted as pages too, since corrupt documents may omit the /Type.
+ */
+function isPageTreeLeaf(node) {
+  return isDict(node, 'Page') || (isDict(node) && !node.has('Kids'));
+}
+
+function getBoolean(dict, key, defaultValue) {
+  const value = dict.get(key);
+  return (isBool(value) ? value : defaultValue);
+}
+
+/**
+ * Parses the target dictionaries of an embedded go-to action, see the
+ * specification (12.6.4.4), into a chain of `{ relationship, name, page,
+ * annotation, target }` objects.
+ * @param {Dict} dict - The action dictionary, or a target dictionary.
+ */
+function parseEmbeddedTarget(dict) {
+  const root = { target: null, };
+  // Prevent infinite loops, caused by circular /T entries. Note that fetched
+  // dictionaries need not be cached, hence their references are tracked.
+  const processed = new RefSet();
+  let parent = root;
+
+  while (true) {
+    const targetRef = dict.getRaw('T');
+    if (isRef(targetRef)) {
+      if (processed.has(targetRef)) {
+        break;
+      }
+      processed.put(targetRef);
+    }
+    const targetDict = dict.get('T');
+    if (!isDict(targetDict)) {
+      break;
+    }
+    const relationship = targetDict.get('R');
+    const name = targetDict.get('N');
+    const page = targetDict.get('P');
+    const annotation = targetDict.get('A');
+
+    parent = parent.target = {
+      relationship: (isName(relationship) ? relationship.name : null),
+      name: (isString(name) ? stringToPDFString(name) : null),
+      page: (Number.isInteger(page) || isString(page) ? page : null),
+      annotation: (Number.isInteger(annotation) || isString(annotation) ?
+                   annotation : null),
+      target: null,
+    };
+    dict = targetDict;
+  }
+  return root.target;
+}
+
 class Catalog {
   constructor(pdfManager, xref) {
     this.pdfManager = pdfManager;
@@ -47,6 +753,15 @@ class Catalog {
     this.fontCache = new RefSetCache();
     this.builtInCMapCache = new Map();
     this.pageKidsCountCache = new RefSetCache();
+    this._outlineItemRefs = new Map();
+    this._pageLabelIndex = null;
+    this._pageIndex = null;
+    // The `LinkPolicy` used for the outline items, if any.
+    this.linkPolicy = null;
+    // The embedded documents that were opened, and for embedded documents
+    // the catalog of the containing document.
+    this._embeddedDocuments = new Map();
+    this._parentCatalog = null;
   }
 
   get metadata() {
@@ -76,7 +791,13 @@ class Catalog {
           if (e instanceof MissingDataException) {
             throw e;
           }
-          info('Skipping invalid metadata.');
+          reportDiagnostic(this.xref, {
+            severity: DiagnosticSeverity.INFO,
+            code: DiagnosticCode.METADATA_INVALID,
+            message: 'Skipping invalid metadata.',
+            ref: streamRef,
+            category: DiagnosticCategory.SKIPPED,
+          });
         }
       }
     }
@@ -99,7 +820,12 @@ class Catalog {
       if (ex instanceof MissingDataException) {
         throw ex;
       }
-      warn('Unable to read document outline.');
+      reportDiagnostic(this.xref, {
+        code: DiagnosticCode.OUTLINE_UNREADABLE,
+        message: 'Unable to read document outline.',
+        ref: this.catDict.getRaw('Outlines') || null,
+        category: DiagnosticCategory.SKIPPED,
+      });
     }
     return shadow(this, 'documentOutline', obj);
   }
@@ -122,54 +848,28 @@ class Catalog {
     // To avoid recursion, keep track of the already processed items.
     const processed = new RefSet();
     processed.put(obj);
-    const xref = this.xref, blackColor = new Uint8ClampedArray(3);
+    const xref = this.xref;
 
     while (queue.length > 0) {
       const i = queue.shift();
       const outlineDict = xref.fetchIfRef(i.obj);
       if (outlineDict === null) {
+        this._reportMissingOutlineItem(i.obj);
         continue;
       }
-      if (!outlineDict.has('Title')) {
-        throw new FormatError('Invalid outline item encountered.');
+      const outlineItem = this._tryParseOutlineItem(i.obj, outlineDict);
+      if (!isDict(outlineDict)) {
+        continue;
       }
-
-      const data = { url: null, dest: null, };
-      Catalog.parseDestDictionary({
-        destDict: outlineDict,
-        resultObj: data,
-        docBaseUrl: this.pdfManager.docBaseUrl,
-      });
-      const title = outlineDict.get('Title');
-      const flags = outlineDict.get('F') || 0;
-      const color = outlineDict.getArray('C');
-      const count = outlineDict.get('Count');
-      let rgbColor = blackColor;
-
-      // We only need to parse the color when it's valid, and non-default.
-      if (Array.isArray(color) && color.length === 3 &&
-          (color[0] !== 0 || color[1] !== 0 || color[2] !== 0)) {
-        rgbColor = ColorSpace.singletons.rgb.getRgb(color, 0);
-      }
-
-      const outlineItem = {
-        dest: data.dest,
-        url: data.url,
-        unsafeUrl: data.unsafeUrl,
-        newWindow: data.newWindow,
-        title: stringToPDFString(title),
-        color: rgbColor,
-        count: Number.isInteger(count) ? count : undefined,
-        bold: !!(flags & 2),
-        italic: !!(flags & 1),
-        items: [],
-      };
-
-      i.parent.items.push(outlineItem);
-      obj = outlineDict.getRaw('First');
-      if (isRef(obj) && !processed.has(obj)) {
-        queue.push({ obj, parent: outlineItem, });
-        processed.put(obj);
+      if (outlineItem) {
+        outlineItem.items = [];
+        i.parent.items.push(outlineItem);
+
+        obj = outlineDict.getRaw('First');
+        if (isRef(obj) && !processed.has(obj)) {
+          queue.push({ obj, parent: outlineItem, });
+          processed.put(obj);
+        }
       }
       obj = outlineDict.getRaw('Next');
       if (isRef(obj) && !processed.has(obj)) {
@@ -180,51 +880,274 @@ class Catalog {
     return (root.items.length > 0 ? root.items : null);
   }
 
-  get permissions() {
-    let permissions = null;
+  /**
+   * @private
+   */
+  _reportMissingOutlineItem(ref) {
+    reportDiagnostic(this.xref, {
+      severity: DiagnosticSeverity.INFO,
+      code: DiagnosticCode.OUTLINE_ITEM_MISSING,
+      message: `Skipping missing outline item: ${ref}.`,
+      ref,
+      category: DiagnosticCategory.SKIPPED,
+    });
+  }
+
+  /**
+   * Parses an outline item dictionary, see `_parseOutlineItem`, but reports
+   * and skips invalid items (and thus their children) rather than failing.
+   * @returns {Object|null} The outline item, or `null` if it's invalid.
+   * @private
+   */
+  _tryParseOutlineItem(ref, outlineDict) {
     try {
-      permissions = this._readPermissions();
+      return this._parseOutlineItem(outlineDict);
     } catch (ex) {
       if (ex instanceof MissingDataException) {
         throw ex;
       }
-      warn('Unable to read permissions.');
+      reportDiagnostic(this.xref, {
+        code: DiagnosticCode.OUTLINE_ITEM_INVALID,
+        message: `Skipping invalid outline item: ${ref}, ${ex.message}`,
+        ref,
+        category: DiagnosticCategory.SKIPPED,
+      });
+      return null;
     }
-    return shadow(this, 'permissions', permissions);
   }
 
   /**
+   * Parses an outline item dictionary, except for its children.
    * @private
    */
-  _readPermissions() {
-    const encrypt = this.xref.trailer.get('Encrypt');
-    if (!isDict(encrypt)) {
-      return null;
+  _parseOutlineItem(outlineDict) {
+    if (!isDict(outlineDict) || !outlineDict.has('Title')) {
+      throw new FormatError('Invalid outline item encountered.');
     }
-
-    let flags = encrypt.get('P');
-    if (!isNum(flags)) {
-      return null;
+    const data = { url: null, dest: null, };
+    Catalog.parseDestDictionary({
+      destDict: outlineDict,
+      resultObj: data,
+      docBaseUrl: this.pdfManager.docBaseUrl,
+      linkPolicy: this.linkPolicy,
+    });
+    let action = outlineDict.get('A');
+    if (!isDict(action)) {
+      action = outlineDict.get('Dest');
+    }
+    const title = outlineDict.get('Title');
+    const flags = outlineDict.get('F') || 0;
+    const color = outlineDict.getArray('C');
+    const count = outlineDict.get('Count');
+    let rgbColor = new Uint8ClampedArray(3); // Black.
+
+    // We only need to parse the color when it's valid, and non-default.
+    if (Array.isArray(color) && color.length === 3 &&
+        (color[0] !== 0 || color[1] !== 0 || color[2] !== 0)) {
+      rgbColor = ColorSpace.singletons.rgb.getRgb(color, 0);
     }
 
-    // PDF integer objects are represented internally in signed 2's complement
-    // form. Therefore, convert the signed decimal integer to a signed 2's
-    // complement binary integer so we can use regular bitwise operations on it.
-    flags += 2 ** 32;
+    return {
+      dest: data.dest,
+      url: data.url,
+      unsafeUrl: data.unsafeUrl,
+      newWindow: data.newWindow,
+      action: (isDict(action) ?
+               Catalog.parseAction(action, this.linkPolicy,
+                                   this.pdfManager.docBaseUrl) :
+               data.dest ? { type: 'GoTo', dest: data.dest, } : null),
+      actions: data.actions || null,
+      title: stringToPDFString(title),
+      color: rgbColor,
+      count: Number.isInteger(count) ? count : undefined,
+      bold: !!(flags & 2),
+      italic: !!(flags & 1),
+    };
+  }
 
-    const permissions = [];
-    for (const key in PermissionFlag) {
-      const value = PermissionFlag[key];
-      if (flags & value) {
-        permissions.push(value);
+  /**
+   * Loads the children of an outline item, fetching any missing data first,
+   * such that large outlines can be loaded on demand (e.g. when the user
+   * expands an item) without having to load the entire outline up-front.
+   * The items have the same format as those of `documentOutline`, except that
+   * instead of the `items` property they have an `id` property, to be passed
+   * to this method, and a `hasChildren` property.
+   * @param {string|null} [id] - The id of the parent item, or `null` to load
+   *   the top-level items.
+   * @returns {Promise<Array>}
+   */
+  async getOutlineChildren(id = null) {
+    const xref = this.xref;
+    let parentDict;
+    if (id === null) {
+      parentDict = await xref.fetchIfRefAsync(this.catDict.getRaw('Outlines'));
+    } else {
+      const ref = this._outlineItemRefs.get(id);
+      if (!ref) {
+        throw new Error(`Catalog.getOutlineChildren - unknown item: ${id}.`);
       }
+      parentDict = await xref.fetchAsync(ref);
+    }
+    if (!isDict(parentDict)) {
+      return [];
     }
-    return permissions;
-  }
 
-  get numPages() {
-    const obj = this.toplevelPagesDict.get('Count');
-    if (!Number.isInteger(obj)) {
+    const items = [];
+    // Prevent infinite loops, caused by circular /Next entries.
+    const processed = new RefSet();
+    let obj = parentDict.getRaw('First');
+    while (isRef(obj) && !processed.has(obj)) {
+      processed.put(obj);
+      const outlineDict = await xref.fetchAsync(obj);
+      if (outlineDict === null) {
+        this._reportMissingOutlineItem(obj);
+        break;
+      }
+      const outlineItem = await this._ensureData(() => {
+        return this._tryParseOutlineItem(obj, outlineDict);
+      });
+      if (!outlineItem) {
+        // Continue with the next sibling, when it can be found.
+        obj = (isDict(outlineDict) ? outlineDict.getRaw('Next') : null);
+        continue;
+      }
+      outlineItem.id = obj.toString();
+      outlineItem.hasChildren = isRef(outlineDict.getRaw('First'));
+      this._outlineItemRefs.set(outlineItem.id, obj);
+
+      items.push(outlineItem);
+      obj = outlineDict.getRaw('Next');
+    }
+    return items;
+  }
+
+  /**
+   * Loads the document outline one level at a time, fetching any missing data
+   * first, unlike `documentOutline` which requires all data to be available.
+   * @param {Object} [options] - An object with an optional `maxDepth`
+   *   property, which limits the number of levels that are loaded. Items on
+   *   the last level have an `items` property that's `null` if they have any
+   *   children, see also `getOutlineChildren`.
+   * @returns {Promise<Array|null>} The outline, in the same format as
+   *   `documentOutline` but with additional `id` and `hasChildren` properties.
+   */
+  async loadDocumentOutline({ maxDepth = Infinity, } = {}) {
+    const root = { id: null, items: null, };
+    // To avoid recursion, keep track of the already loaded items.
+    const loaded = new Set();
+    let level = [root];
+
+    for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+      const nextLevel = [];
+      for (const parent of level) {
+        parent.items = [];
+        for (const item of await this.getOutlineChildren(parent.id)) {
+          if (loaded.has(item.id)) {
+            continue;
+          }
+          loaded.add(item.id);
+          item.items = (item.hasChildren ? null : []);
+          parent.items.push(item);
+          if (item.hasChildren) {
+            nextLevel.push(item);
+          }
+        }
+      }
+      level = nextLevel;
+    }
+    return (root.items && root.items.length > 0 ? root.items : null);
+  }
+
+  /**
+   * Calls the function, and retries it after loading the missing data, for as
+   * long as it throws a `MissingDataException`.
+   * @private
+   */
+  async _ensureData(fn) {
+    try {
+      return fn();
+    } catch (ex) {
+      if (!(ex instanceof MissingDataException)) {
+        throw ex;
+      }
+      await this.pdfManager.requestRange(ex.begin, ex.end);
+      return this._ensureData(fn);
+    }
+  }
+
+  /**
+   * Creates an editable model of the document outline, see `OutlineEditor`.
+   * @returns {OutlineEditor}
+   */
+  getOutlineEditor() {
+    return new OutlineEditor(this);
+  }
+
+  /**
+   * Replaces an entry of the catalog dictionary, by writing an updated copy
+   * of the dictionary to the `XRef`.
+   * @private
+   */
+  _setCatalogEntry(key, value) {
+    const xref = this.xref, rootRef = xref.trailer.getRaw('Root');
+    if (!isRef(rootRef)) {
+      throw new FormatError('Invalid Root reference.');
+    }
+    const catDict = updateDict(this.catDict, { [key]: value, });
+    xref.putObject(rootRef, catDict);
+    xref.root = catDict;
+    this.catDict = catDict;
+  }
+
+  get permissions() {
+    let permissions = null;
+    try {
+      permissions = this._readPermissions();
+    } catch (ex) {
+      if (ex instanceof MissingDataException) {
+        throw ex;
+      }
+      reportDiagnostic(this.xref, {
+        code: DiagnosticCode.PERMISSIONS_UNREADABLE,
+        message: 'Unable to read permissions.',
+        category: DiagnosticCategory.SKIPPED,
+      });
+    }
+    return shadow(this, 'permissions', permissions);
+  }
+
+  /**
+   * @private
+   */
+  _readPermissions() {
+    const encrypt = this.xref.trailer.get('Encrypt');
+    if (!isDict(encrypt)) {
+      return null;
+    }
+
+    let flags = encrypt.get('P');
+    if (!isNum(flags)) {
+      return null;
+    }
+
+    // PDF integer objects are represented internally in signed 2's complement
+    // form. Therefore, convert the signed decimal integer to a signed 2's
+    // complement binary integer so we can use regular bitwise operations on it.
+    flags += 2 ** 32;
+
+    const permissions = [];
+    for (const key in PermissionFlag) {
+      const value = PermissionFlag[key];
+      if (flags & value) {
+        permissions.push(value);
+      }
+    }
+    return permissions;
+  }
+
+  get numPages() {
+    const obj = this.toplevelPagesDict.get('Count');
+    if (!Number.isInteger(obj)) {
       throw new FormatError(
         'Page count in top-level pages dictionary is not an integer.');
     }
@@ -248,6 +1171,67 @@ class Catalog {
     return shadow(this, 'destinations', dests);
   }
 
+  /**
+   * Creates a function that resolves named and explicit destinations into
+   * `{ pageIndex, fit, coords }` objects (or `null` for invalid destinations),
+   * without having to look up every page individually using `getPageIndex`.
+   * NOTE: The function doesn't reflect subsequent changes to the document.
+   * @returns {function}
+   */
+  createDestinationResolver() {
+    const pageIndices = new RefSetCache();
+    this._collectPageRefs().forEach((pageRef, pageIndex) => {
+      if (pageRef && !pageIndices.has(pageRef)) {
+        pageIndices.put(pageRef, pageIndex);
+      }
+    });
+    const destinations = this.destinations;
+
+    return function resolveDestination(dest) {
+      if (isName(dest)) {
+        dest = dest.name;
+      }
+      if (isString(dest)) {
+        dest = destinations[dest];
+      }
+      return normalizeDestination(dest, pageIndices);
+    };
+  }
+
+  /**
+   * Resolves the destinations of all outline items, and all named
+   * destinations, see `createDestinationResolver`.
+   * @returns {Object} An object with an `outline` property, containing the
+   *   items of `documentOutline` with an additional `resolvedDest` property,
+   *   and a `destinations` property, which maps the names of the named
+   *   destinations to the resolved destinations.
+   */
+  resolveDestinations() {
+    const resolveDestination = this.createDestinationResolver();
+    const destinations = Object.create(null);
+    for (const name in this.destinations) {
+      destinations[name] = resolveDestination(name);
+    }
+
+    const outline = this.documentOutline;
+    const root = { items: null, };
+    const queue = [{ items: outline, parent: root, }];
+    while (queue.length > 0) {
+      const { items, parent, } = queue.shift();
+      if (!items) {
+        continue;
+      }
+      parent.items = items.map((item) => {
+        const resolvedItem = Object.assign({}, item, {
+          resolvedDest: resolveDestination(item.dest),
+        });
+        queue.push({ items: item.items, parent: resolvedItem, });
+        return resolvedItem;
+      });
+    }
+    return { outline: root.items, destinations, };
+  }
+
   getDestination(destinationId) {
     const obj = this._readDests();
     if (obj instanceof NameTree || obj instanceof Dict) {
@@ -277,105 +1261,272 @@ class Catalog {
       if (ex instanceof MissingDataException) {
         throw ex;
       }
-      warn('Unable to read page labels.');
+      reportDiagnostic(this.xref, {
+        code: DiagnosticCode.PAGE_LABELS_UNREADABLE,
+        message: 'Unable to read page labels.',
+        ref: this.catDict.getRaw('PageLabels') || null,
+        category: DiagnosticCategory.SKIPPED,
+      });
     }
     return shadow(this, 'pageLabels', obj);
   }
 
+  /**
+   * @typedef {Object} PageLabelRange
+   * @property {number} startIndex - The index of the first page in the range.
+   * @property {string|null} style - The numbering style, i.e. 'D' (decimal),
+   *   'R' or 'r' (roman numerals), 'A' or 'a' (letters), or `null` for labels
+   *   that only consist of the prefix.
+   * @property {string} prefix - The label prefix.
+   * @property {number} start - The number of the first page in the range.
+   */
+
+  /**
+   * The page label ranges of the document, see the specification (12.4.2),
+   * ordered by their start index, or `null` if the document has none.
+   * @returns {Array<PageLabelRange>|null}
+   */
+  get pageLabelRanges() {
+    let obj = null;
+    try {
+      obj = this._readPageLabelRanges();
+    } catch (ex) {
+      if (ex instanceof MissingDataException) {
+        throw ex;
+      }
+      reportDiagnostic(this.xref, {
+        code: DiagnosticCode.PAGE_LABELS_UNREADABLE,
+        message: 'Unable to read page label ranges.',
+        ref: this.catDict.getRaw('PageLabels') || null,
+        category: DiagnosticCategory.SKIPPED,
+      });
+    }
+    return shadow(this, 'pageLabelRanges', obj);
+  }
+
   /**
    * @private
    */
-  _readPageLabels() {
+  _readPageLabelRanges() {
     const obj = this.catDict.getRaw('PageLabels');
     if (!obj) {
       return null;
     }
-
-    const pageLabels = new Array(this.numPages);
-    let style = null, prefix = '';
-
     const numberTree = new NumberTree(obj, this.xref);
     const nums = numberTree.getAll();
-    let currentLabel = '', currentIndex = 1;
+    const ranges = [];
 
     for (let i = 0, ii = this.numPages; i < ii; i++) {
-      if (i in nums) {
-        const labelDict = nums[i];
-        if (!isDict(labelDict)) {
-          throw new FormatError('PageLabel is not a dictionary.');
+      if (!(i in nums)) {
+        continue;
+      }
+      const labelDict = nums[i];
+      if (!isDict(labelDict)) {
+        throw new FormatError('PageLabel is not a dictionary.');
+      }
+
+      if (labelDict.has('Type') &&
+          !isName(labelDict.get('Type'), 'PageLabel')) {
+        throw new FormatError('Invalid type in PageLabel dictionary.');
+      }
+
+      let style = null, prefix = '', start = 1;
+      if (labelDict.has('S')) {
+        const s = labelDict.get('S');
+        if (!isName(s) || !isPageLabelStyle(s.name)) {
+          throw new FormatError('Invalid style in PageLabel dictionary.');
         }
+        style = s.name;
+      }
 
-        if (labelDict.has('Type') &&
-            !isName(labelDict.get('Type'), 'PageLabel')) {
-          throw new FormatError('Invalid type in PageLabel dictionary.');
+      if (labelDict.has('P')) {
+        const p = labelDict.get('P');
+        if (!isString(p)) {
+          throw new FormatError('Invalid prefix in PageLabel dictionary.');
         }
+        prefix = stringToPDFString(p);
+      }
 
-        if (labelDict.has('S')) {
-          const s = labelDict.get('S');
-          if (!isName(s)) {
-            throw new FormatError('Invalid style in PageLabel dictionary.');
-          }
-          style = s.name;
-        } else {
-          style = null;
+      if (labelDict.has('St')) {
+        const st = labelDict.get('St');
+        if (!isPageLabelStart(st)) {
+          throw new FormatError('Invalid start in PageLabel dictionary.');
         }
+        start = st;
+      }
+      ranges.push({ startIndex: i, style, prefix, start, });
+    }
+    return ranges;
+  }
 
-        if (labelDict.has('P')) {
-          const p = labelDict.get('P');
-          if (!isString(p)) {
-            throw new FormatError('Invalid prefix in PageLabel dictionary.');
-          }
-          prefix = stringToPDFString(p);
-        } else {
-          prefix = '';
+  /**
+   * @private
+   */
+  _readPageLabels() {
+    const ranges = this._readPageLabelRanges();
+    if (!ranges) {
+      return null;
+    }
+    const pageLabels = new Array(this.numPages);
+    // Pages before the first range have empty labels.
+    let range = { style: null, prefix: '', }, currentIndex = 1;
+
+    for (let i = 0, r = 0, ii = this.numPages; i < ii; i++) {
+      if (r < ranges.length && ranges[r].startIndex === i) {
+        range = ranges[r++];
+        currentIndex = range.start;
+      }
+      pageLabels[i] = range.prefix + formatPageLabel(range.style,
+                                                     currentIndex);
+      currentIndex++;
+    }
+    return pageLabels;
+  }
+
+  /**
+   * Replaces the page labels of the document, by writing a new /PageLabels
+   * number tree to the `XRef`.
+   * @param {Array<PageLabelRange>|null} ranges - The page label ranges, which
+   *   must be ordered by their start index and cover the first page, or `null`
+   *   to remove the page labels. The `style`, `prefix` and `start` properties
+   *   are optional, and default to `null`, '' and 1 respectively.
+   */
+  setPageLabelRanges(ranges) {
+    const xref = this.xref, numPages = this.numPages;
+    let pageLabelsRef = this.catDict.getRaw('PageLabels');
+    // The nodes of the existing number tree are replaced, except for its root
+    // which is re-used, hence they must be removed.
+    let obsoleteRefs = this._getNumberTreeNodeRefs(pageLabelsRef);
+
+    if (ranges === null) {
+      this._setCatalogEntry('PageLabels', undefined);
+    } else {
+      const nums = [];
+      ranges.forEach(({ startIndex, style = null, prefix = '', start = 1, },
+                      i) => {
+        const previousIndex = (i > 0 ? ranges[i - 1].startIndex : -1);
+        if (!Number.isInteger(startIndex) || startIndex <= previousIndex ||
+            startIndex >= numPages || (i === 0 && startIndex !== 0)) {
+          throw new Error(
+            `Catalog.setPageLabelRanges - invalid start index: ${startIndex}.`);
+        }
+        if (style !== null && !isPageLabelStyle(style)) {
+          throw new Error(
+            `Catalog.setPageLabelRanges - invalid style: ${style}.`);
+        }
+        if (typeof prefix !== 'string') {
+          throw new Error(
+            `Catalog.setPageLabelRanges - invalid prefix: ${prefix}.`);
+        }
+        if (!isPageLabelStart(start)) {
+          throw new Error(
+            `Catalog.setPageLabelRanges - invalid start: ${start}.`);
         }
 
-        if (labelDict.has('St')) {
-          const st = labelDict.get('St');
-          if (!(Number.isInteger(st) && st >= 1)) {
-            throw new FormatError('Invalid start in PageLabel dictionary.');
-          }
-          currentIndex = st;
-        } else {
-          currentIndex = 1;
+        const labelDict = new Dict(xref);
+        labelDict.set('Type', Name.get('PageLabel'));
+        if (style !== null) {
+          labelDict.set('S', Name.get(style));
+        }
+        if (prefix) {
+          labelDict.set('P', prefix);
+        }
+        if (start !== 1) {
+          labelDict.set('St', start);
         }
+        nums.push(startIndex, labelDict);
+      });
+      if (nums.length === 0) {
+        throw new Error('Catalog.setPageLabelRanges - no ranges specified.');
       }
 
-      switch (style) {
-        case 'D':
-          currentLabel = currentIndex;
-          break;
-        case 'R':
-        case 'r':
-          currentLabel = toRomanNumerals(currentIndex, style === 'r');
-          break;
-        case 'A':
-        case 'a':
-          const LIMIT = 26; // Use only the characters A-Z, or a-z.
-          const A_UPPER_CASE = 0x41, A_LOWER_CASE = 0x61;
-
-          const baseCharCode = (style === 'a' ? A_LOWER_CASE : A_UPPER_CASE);
-          const letterIndex = currentIndex - 1;
-          const character = String.fromCharCode(baseCharCode +
-                                                (letterIndex % LIMIT));
-          const charBuf = [];
-          for (let j = 0, jj = (letterIndex / LIMIT) | 0; j <= jj; j++) {
-            charBuf.push(character);
-          }
-          currentLabel = charBuf.join('');
-          break;
-        default:
-          if (style) {
-            throw new FormatError(
-              `Invalid style "${style}" in PageLabel dictionary.`);
-          }
-          currentLabel = '';
+      const numberTree = new Dict(xref);
+      numberTree.set('Nums', nums);
+      if (!isRef(pageLabelsRef)) {
+        pageLabelsRef = xref.getNewRef();
+        this._setCatalogEntry('PageLabels', pageLabelsRef);
       }
+      xref.putObject(pageLabelsRef, numberTree);
+      obsoleteRefs = obsoleteRefs.filter((ref) => {
+        return !isRefsEqual(ref, pageLabelsRef);
+      });
+    }
+    for (const ref of obsoleteRefs) {
+      xref.removeObject(ref);
+    }
+    // Ensure that the page label getters reflect the changes.
+    delete this.pageLabels;
+    delete this.pageLabelRanges;
+    this._pageLabelIndex = null;
+  }
 
-      pageLabels[i] = prefix + currentLabel;
-      currentIndex++;
+  /**
+   * @private
+   */
+  _getNumberTreeNodeRefs(root) {
+    const refs = [], visitedRefs = new RefSet(), nodesToVisit = [root];
+    while (nodesToVisit.length > 0) {
+      const node = nodesToVisit.pop();
+      if (isRef(node)) {
+        if (visitedRefs.has(node)) {
+          continue;
+        }
+        visitedRefs.put(node);
+        refs.push(node);
+      }
+      const dict = this.xref.fetchIfRef(node);
+      const kids = (isDict(dict) ? dict.get('Kids') : null);
+      if (Array.isArray(kids)) {
+        nodesToVisit.push(...kids);
+      }
     }
-    return pageLabels;
+    return refs;
+  }
+
+  /**
+   * Finds the pages with the given label, e.g. for a "go to page" input that
+   * accepts printed page numbers. Labels are compared case-sensitively, unless
+   * that finds no pages, e.g. such that "IV" matches a page labelled "iv".
+   * When the document has no page labels, the pages are labelled with their
+   * (1-based) page numbers instead, as viewers display them.
+   * @param {string} label
+   * @returns {Array<number>} The indices of the pages, in ascending order;
+   *   there may be more than one when the labels of the document aren't
+   *   unique, in which case the caller has to decide which page to use.
+   */
+  getPageIndicesByLabel(label) {
+    if (!isString(label)) {
+      return [];
+    }
+    if (!this._pageLabelIndex) {
+      let pageLabels = this.pageLabels;
+      if (!pageLabels) {
+        pageLabels = [];
+        for (let i = 1, ii = this.numPages; i <= ii; i++) {
+          pageLabels.push(i.toString());
+        }
+      }
+      const index = new Map(), caseInsensitiveIndex = new Map();
+      for (let i = 0, ii = pageLabels.length; i < ii; i++) {
+        for (const [map, key] of [[index, pageLabels[i]],
+                                  [caseInsensitiveIndex,
+                                   pageLabels[i].toLowerCase()]]) {
+          if (!map.has(key)) {
+            map.set(key, []);
+          }
+          map.get(key).push(i);
+        }
+      }
+      this._pageLabelIndex = { index, caseInsensitiveIndex, };
+    }
+    const { index, caseInsensitiveIndex, } = this._pageLabelIndex;
+    label = label.trim();
+    if (!label) {
+      return [];
+    }
+    const pageIndices = (index.get(label) ||
+                         caseInsensitiveIndex.get(label.toLowerCase()));
+    return (pageIndices ? pageIndices.slice() : []);
   }
 
   get pageLayout() {
@@ -440,6 +1591,16 @@ class Catalog {
 
     const obj = this.catDict.get('ViewerPreferences');
     const prefs = Object.create(null);
+    const reportBadValue = (key) => {
+      const ref = this.catDict.getRaw('ViewerPreferences');
+      reportDiagnostic(this.xref, {
+        severity: DiagnosticSeverity.INFO,
+        code: DiagnosticCode.VIEWER_PREFERENCE_INVALID,
+        message: `Bad value in ViewerPreferences for "${key}".`,
+        ref: isRef(ref) ? ref : null,
+        category: DiagnosticCategory.SKIPPED,
+      });
+    };
 
     if (isDict(obj)) {
       for (const key in ViewerPreferencesValidators) {
@@ -449,7 +1610,7 @@ class Catalog {
         const value = obj.get(key);
         // Make sure the (standard) value conforms to the specification.
         if (!ViewerPreferencesValidators[key](value)) {
-          info(`Bad value in ViewerPreferences for "${key}".`);
+          reportBadValue(key);
           continue;
         }
         let prefValue;
@@ -540,7 +1701,7 @@ class Catalog {
         if (prefValue !== undefined) {
           prefs[key] = prefValue;
         } else {
-          info(`Bad value in ViewerPreferences for "${key}".`);
+          reportBadValue(key);
         }
       }
     }
@@ -593,6 +1754,18 @@ class Catalog {
     let javaScript = null;
     function appendIfJavaScriptDict(jsDict) {
       const type = jsDict.get('S');
+      if (isName(type, 'Named')) {
+        // The named Print action is not a part of the PDF 1.7 specification,
+        // but is supported by many PDF readers/writers (including Adobe's).
+        if (!isName(jsDict.get('N'), 'Print')) {
+          return;
+        }
+        if (!javaScript) {
+          javaScript = [];
+        }
+        javaScript.push('print({});');
+        return;
+      }
       if (!isName(type, 'JavaScript')) {
         return;
       }
@@ -618,27 +1791,21 @@ class Catalog {
         // defensive so we don't cause errors on document load.
         const jsDict = names[name];
         if (isDict(jsDict)) {
-          appendIfJavaScriptDict(jsDict);
+          for (const sequenceDict of getActionSequence(jsDict)) {
+            if (isName(sequenceDict.get('S'), 'JavaScript')) {
+              appendIfJavaScriptDict(sequenceDict);
+            }
+          }
         }
       }
     }
 
-    // Append OpenAction actions to the JavaScript array.
+    // Append OpenAction actions, including their /Next actions, to the
+    // JavaScript array.
     const openActionDict = this.catDict.get('OpenAction');
     if (isDict(openActionDict, 'Action')) {
-      const actionType = openActionDict.get('S');
-      if (isName(actionType, 'Named')) {
-        // The named Print action is not a part of the PDF 1.7 specification,
-        // but is supported by many PDF readers/writers (including Adobe's).
-        const action = openActionDict.get('N');
-        if (isName(action, 'Print')) {
-          if (!javaScript) {
-            javaScript = [];
-          }
-          javaScript.push('print({});');
-        }
-      } else {
-        appendIfJavaScriptDict(openActionDict);
+      for (const sequenceDict of getActionSequence(openActionDict)) {
+        appendIfJavaScriptDict(sequenceDict);
       }
     }
 
@@ -680,7 +1847,76 @@ class Catalog {
     });
   }
 
+  /**
+   * Starts building a complete index of the page tree, in the background,
+   * which allows `getPageDict` and `getPageIndex` to find pages in constant
+   * time. Missing data is requested as needed, and the index is used as soon
+   * as the requested pages have been indexed (i.e. before it's complete).
+   * @returns {Promise<number>} A promise that is resolved with the number of
+   *   pages, once the index is complete.
+   */
+  buildPageIndex() {
+    if (!this._pageIndex) {
+      const pageIndex = this._pageIndex = {
+        pageRefs: [],
+        pageIndices: new RefSetCache(),
+        complete: false,
+        promise: null,
+      };
+      pageIndex.promise = this._indexPageTree(pageIndex);
+    }
+    return this._pageIndex.promise;
+  }
+
+  /**
+   * @private
+   */
+  async _indexPageTree(pageIndex) {
+    const xref = this.xref, visitedNodes = new RefSet();
+    const nodesToVisit = [this.catDict.getRaw('Pages')];
+
+    while (nodesToVisit.length > 0) {
+      const currentNode = nodesToVisit.pop();
+      const obj = await xref.fetchIfRefAsync(currentNode);
+      if (!isDict(obj)) {
+        continue;
+      }
+      if (isPageTreeLeaf(obj)) {
+        const pageRef = (isRef(currentNode) ? currentNode : null);
+        if (pageRef && !pageIndex.pageIndices.has(pageRef)) {
+          pageIndex.pageIndices.put(pageRef, pageIndex.pageRefs.length);
+        }
+        pageIndex.pageRefs.push(pageRef);
+        continue;
+      }
+      const kids = await obj.getAsync('Kids');
+      if (!Array.isArray(kids)) {
+        continue;
+      }
+      if (isRef(currentNode)) {
+        // Prevent infinite loops, caused by circular references.
+        if (visitedNodes.has(currentNode)) {
+          continue;
+        }
+        visitedNodes.put(currentNode);
+      }
+      for (let last = kids.length - 1; last >= 0; last--) {
+        nodesToVisit.push(kids[last]);
+      }
+    }
+    pageIndex.complete = true;
+    return pageIndex.pageRefs.length;
+  }
+
   getPageDict(pageIndex) {
+    const indexedPageRef = (this._pageIndex &&
+                            this._pageIndex.pageRefs[pageIndex]);
+    if (indexedPageRef) {
+      return this.xref.fetchAsync(indexedPageRef).then((obj) => {
+        return [obj, indexedPageRef];
+      });
+    }
+
     const capability = createPromiseCapability();
     const nodesToVisit = [this.catDict.getRaw('Pages')];
     const xref = this.xref, pageKidsCountCache = this.pageKidsCountCache;
@@ -699,7 +1935,7 @@ class Catalog {
           }
 
           xref.fetchAsync(currentNode).then(function(obj) {
-            if (isDict(obj, 'Page') || (isDict(obj) && !obj.has('Kids'))) {
+            if (isPageTreeLeaf(obj)) {
               if (pageIndex === currentPageIndex) {
                 // Cache the Page reference, since it can *greatly* improve
                 // performance by reducing redundant lookups in long documents
@@ -747,8 +1983,16 @@ class Catalog {
           // Prevent errors in corrupt PDF documents that violate the
           // specification by *inlining* Page dicts directly in the Kids
           // array, rather than using indirect objects (fixes issue9540.pdf).
-          if (isName(currentNode.get('Type'), 'Page') ||
-              (!currentNode.has('Type') && currentNode.has('Contents'))) {
+          if (isPageTreeLeaf(currentNode)) {
+            const parentRef = currentNode.getRaw('Parent');
+            reportDiagnostic(xref, {
+              severity: DiagnosticSeverity.INFO,
+              code: DiagnosticCode.PAGE_TREE_INLINE_PAGE,
+              message: 'Found a Page dictionary inlined in a Kids array, ' +
+                       `at page index ${currentPageIndex}.`,
+              ref: (isRef(parentRef) ? parentRef : null),
+              category: DiagnosticCategory.RECOVERY,
+            });
             if (currentPageIndex === pageIndex) {
               capability.resolve([currentNode, null]);
               return;
@@ -775,18 +2019,74 @@ class Catalog {
     return capability.promise;
   }
 
-  getPageIndex(pageRef) {
-    // The page tree nodes have the count of all the leaves below them. To get
-    // how many pages are before we just have to walk up the tree and keep
-    // adding the count of siblings to the left of the node.
-    const xref = this.xref;
+  /**
+   * @typedef {Object} InheritedPageAttributes
+   * @property {Dict} pageDict - The /Page dictionary.
+   * @property {Ref|null} pageRef - The reference of the /Page dictionary.
+   * @property {Dict} resources - The effective /Resources dictionary.
+   * @property {Array} mediaBox - The effective /MediaBox, which defaults to the
+   *   US Letter paper size.
+   * @property {Array} cropBox - The effective /CropBox, which defaults to the
+   *   media box.
+   * @property {number} rotate - The effective /Rotate value, i.e. 0, 90, 180
+   *   or 270.
+   */
 
-    function pagesBeforeRef(kidRef) {
-      let total = 0, parentRef;
+  /**
+   * Resolves the inheritable attributes of a page, see the specification
+   * (7.7.3.4), which may be defined on the page itself or on any of its
+   * ancestors in the page tree.
+   * @param {number} pageIndex
+   * @returns {Promise<InheritedPageAttributes>}
+   */
+  async getInheritedPageAttributes(pageIndex) {
+    const [pageDict, pageRef] = await this.getPageDict(pageIndex);
+    if (!isDict(pageDict)) {
+      throw new FormatError('Page dictionary is not a dictionary.');
+    }
+    const [resources, mediaBox, cropBox, rotate] = await this._ensureData(
+      () => ['Resources', 'MediaBox', 'CropBox', 'Rotate'].map((key) => {
+        return getInheritableProperty({
+          dict: pageDict,
+          key,
+          getArray: key.endsWith('Box'),
+        });
+      }));
+
+    const isBox = (box) => {
+      return Array.isArray(box) && box.length === 4 && box.every(isNum);
+    };
+    const effectiveMediaBox = (isBox(mediaBox) ? mediaBox :
+                               LETTER_SIZE_MEDIABOX.slice());
+    return {
+      pageDict,
+      pageRef,
+      resources: (isDict(resources) ? resources : Dict.empty),
+      mediaBox: effectiveMediaBox,
+      cropBox: (isBox(cropBox) ? cropBox : effectiveMediaBox),
+      rotate: (Number.isInteger(rotate) && rotate % 90 === 0 ?
+               (rotate % 360 + 360) % 360 : 0),
+    };
+  }
+
+  getPageIndex(pageRef) {
+    if (!isRef(pageRef)) {
+      return Promise.reject(
+        new Error(`Catalog.getPageIndex - invalid reference: ${pageRef}.`));
+    }
+    if (this._pageIndex && this._pageIndex.pageIndices.has(pageRef)) {
+      return Promise.resolve(this._pageIndex.pageIndices.get(pageRef));
+    }
+    // The page tree nodes have the count of all the leaves below them. To get
+    // how many pages are before we just have to walk up the tree and keep
+    // adding the count of siblings to the left of the node.
+    const xref = this.xref;
+
+    function pagesBeforeRef(kidRef) {
+      let total = 0, parentRef;
 
       return xref.fetchAsync(kidRef).then(function(node) {
-        if (isRefsEqual(kidRef, pageRef) && !isDict(node, 'Page') &&
-            !(isDict(node) && !node.has('Type') && node.has('Contents'))) {
+        if (isRefsEqual(kidRef, pageRef) && !isPageTreeLeaf(node)) {
           throw new FormatError(
             'The reference does not point to a /Page dictionary.');
         }
@@ -858,336 +2158,2668 @@ class Catalog {
   }
 
   /**
-   * @typedef ParseDestDictionaryParameters
-   * @property {Dict} destDict - The dictionary containing the destination.
-   * @property {Object} resultObj - The object where the parsed destination
-   *   properties will be placed.
-   * @property {string} docBaseUrl - (optional) The document base URL that is
-   *   used when attempting to recover valid absolute URLs from relative ones.
+   * @typedef {Object} PageTreeCheckResult
+   * @property {boolean} valid - Whether no problems were found.
+   * @property {number|null} numPages - The page count of the top-level pages
+   *   dictionary, i.e. `numPages`, or `null` if it's not an integer.
+   * @property {number} leafCount - The actual number of pages.
+   * @property {Array<DiagnosticEntry>} problems
    */
 
   /**
-   * Helper function used to parse the contents of destination dictionaries.
-   * @param {ParseDestDictionaryParameters} params
+   * Checks the entire page tree, fetching any missing data first, and reports
+   * all problems that it finds (unlike `getPageDict` and `getPageIndex`, which
+   * either stop at, or silently work around, the first problem). The problems
+   * are also reported to the diagnostics collector of the `XRef`.
+   * @returns {Promise<PageTreeCheckResult>}
    */
-  static parseDestDictionary(params) {
-    // Lets URLs beginning with 'www.' default to using the 'http://' protocol.
-    function addDefaultProtocolToUrl(url) {
-      return (url.startsWith('www.') ? `http://${url}` : url);
-    }
+  async checkPageTree() {
+    const xref = this.xref, problems = [];
+    const report = (severity, code, message, ref = null) => {
+      const entry = { severity, code, message, ref, offset: null,
+                      category: null, };
+      problems.push(entry);
+      reportDiagnostic(xref, entry);
+    };
+    const { ERROR, WARNING, } = DiagnosticSeverity;
+    const visitedNodes = new RefSet(), ancestorNodes = new RefSet();
+
+    // Returns the number of pages below the node.
+    const checkNode = async (node, parentRef, isRoot) => {
+      const ref = (isRef(node) ? node : null);
+      if (ref) {
+        if (ancestorNodes.has(ref)) {
+          report(ERROR, DiagnosticCode.PAGE_TREE_CIRCULAR_REFERENCE,
+                 `Circular reference to page tree node ${ref}.`, ref);
+          return 0;
+        }
+        if (visitedNodes.has(ref)) {
+          report(ERROR, DiagnosticCode.PAGE_TREE_SHARED_NODE,
+                 `Page tree node ${ref} is referenced more than once.`, ref);
+        }
+        visitedNodes.put(ref);
+      }
+      const name = (ref ? `Page tree node ${ref}` : 'Inline page tree node');
+      const dict = await xref.fetchIfRefAsync(node);
+      if (!isDict(dict)) {
+        report(ERROR, DiagnosticCode.PAGE_TREE_INVALID_NODE,
+               `${name} is not a dictionary.`, ref);
+        return 0;
+      }
+      const kids = await this._ensureData(() => dict.get('Kids'));
+      const isLeaf = isPageTreeLeaf(dict);
+
+      if (!ref && !isRoot) {
+        report(WARNING, isLeaf ? DiagnosticCode.PAGE_TREE_INLINE_PAGE :
+                                 DiagnosticCode.PAGE_TREE_INLINE_NODE,
+               `Found a ${isLeaf ? 'Page' : 'Pages'} dictionary inlined in ` +
+               `the Kids array of node ${parentRef}.`, parentRef);
+      }
+      const parent = dict.getRaw('Parent');
+      // NOTE: The kids of inline nodes cannot refer back to their parent.
+      if (isRoot ? parent !== undefined :
+          parentRef && !(isRef(parent) && isRefsEqual(parent, parentRef))) {
+        report(ERROR, DiagnosticCode.PAGE_TREE_PARENT_MISMATCH,
+               `${name} has /Parent ${parent}, instead of ` +
+               `${isRoot ? 'undefined' : parentRef}.`, ref);
+      }
 
-    // According to ISO 32000-1:2008, section 12.6.4.7, URIs should be encoded
-    // in 7-bit ASCII. Some bad PDFs use UTF-8 encoding; see Bugzilla 1122280.
-    function tryConvertUrlEncoding(url) {
-      try {
-        return stringToUTF8String(url);
-      } catch (e) {
-        return url;
+      if (isLeaf) {
+        if (!isName(dict.get('Type'), 'Page')) {
+          report(WARNING, DiagnosticCode.PAGE_TREE_INVALID_LEAF,
+                 `${name} is a leaf, but not a /Page dictionary.`, ref);
+        }
+        return 1;
       }
+      if (!Array.isArray(kids)) {
+        report(ERROR, DiagnosticCode.PAGE_TREE_INVALID_KIDS,
+               `${name} has no valid /Kids array.`, ref);
+        return 0;
+      }
+
+      let leafCount = 0;
+      if (ref) {
+        ancestorNodes.put(ref);
+      }
+      for (const kid of kids) {
+        leafCount += await checkNode(kid, ref, false);
+      }
+      if (ref) {
+        ancestorNodes.remove(ref);
+      }
+      const count = dict.get('Count');
+      if (!isRoot && count !== leafCount) {
+        report(ERROR, DiagnosticCode.PAGE_TREE_COUNT_MISMATCH,
+               `${name} has /Count ${count}, instead of ${leafCount}.`, ref);
+      }
+      return leafCount;
+    };
+
+    const rootRef = this.catDict.getRaw('Pages');
+    const leafCount = await checkNode(rootRef, null, true);
+    const rootDict = await xref.fetchIfRefAsync(rootRef);
+    let numPages = (isDict(rootDict) ? rootDict.get('Count') : null);
+    numPages = (Number.isInteger(numPages) ? numPages : null);
+    if (numPages !== leafCount) {
+      report(ERROR, DiagnosticCode.PAGE_TREE_NUM_PAGES_MISMATCH,
+             `The page count is ${numPages}, but the document contains ` +
+             `${leafCount} pages.`, isRef(rootRef) ? rootRef : null);
     }
+    return { valid: problems.length === 0, numPages, leafCount, problems, };
+  }
 
-    const destDict = params.destDict;
-    if (!isDict(destDict)) {
-      warn('parseDestDictionary: `destDict` must be a dictionary.');
-      return;
+  /**
+   * Inserts a page, which is copied from either this or another document.
+   * Pages from other documents are copied together with all objects that
+   * they (indirectly) reference, except for the parents of widget annotations
+   * (i.e. form fields, which belong to the /AcroForm of the other document)
+   * and other pages; destinations and actions pointing to the latter are
+   * removed. The annotations of the page are always copied.
+   * @param {number} pageIndex - The index of the new page, i.e. the page is
+   *   inserted before the page that currently has this index, or appended if
+   *   it's equal to the number of pages.
+   * @param {Catalog} sourceCatalog - The document containing the page.
+   * @param {number} sourcePageIndex - The index of the page in that document.
+   * @returns {Promise<Ref>} The reference of the new page.
+   */
+  async insertPage(pageIndex, sourceCatalog, sourcePageIndex) {
+    const numPages = this.numPages;
+    if (!Number.isInteger(pageIndex) || pageIndex < 0 ||
+        pageIndex > numPages) {
+      throw new Error(`Catalog.insertPage - invalid page index: ${pageIndex}.`);
     }
-    const resultObj = params.resultObj;
-    if (typeof resultObj !== 'object') {
-      warn('parseDestDictionary: `resultObj` must be an object.');
-      return;
+    const [sourceDict, sourceRef] =
+      await sourceCatalog.getPageDict(sourcePageIndex);
+
+    let parentRef, kidIndex;
+    if (numPages === 0) {
+      parentRef = this.catDict.getRaw('Pages');
+      kidIndex = 0;
+    } else {
+      const siblingIndex = Math.min(pageIndex, numPages - 1);
+      const [siblingDict, siblingRef] = await this.getPageDict(siblingIndex);
+      parentRef = siblingDict.getRaw('Parent');
+      kidIndex = this._getKidIndex(parentRef, siblingRef) +
+                 (pageIndex === numPages ? 1 : 0);
     }
-    const docBaseUrl = params.docBaseUrl || null;
 
-    let action = destDict.get('A'), url, dest;
-    if (!isDict(action) && destDict.has('Dest')) {
-      // A /Dest entry should *only* contain a Name or an Array, but some bad
-      // PDF generators ignore that and treat it as an /A entry.
-      action = destDict.get('Dest');
+    // NOTE: The copied objects are only written to the `XRef` once the entire
+    // page has been copied, such that failures don't leave unused objects.
+    const xref = this.xref, pageRef = xref.getNewRef();
+    let pageDict = cloneDict(sourceDict);
+    materializeInheritedAttributes(pageDict, sourceDict);
+    if (sourceCatalog.xref !== xref) {
+      pageDict = this._copyPage(pageDict, sourceRef, pageRef);
+    } else {
+      this._copyAnnotations(pageDict, pageRef);
     }
+    this._attachPage(pageRef, pageDict, parentRef, kidIndex);
+    this._resetPageTree();
+    return pageRef;
+  }
 
-    if (isDict(action)) {
-      const actionType = action.get('S');
-      if (!isName(actionType)) {
-        warn('parseDestDictionary: Invalid type in Action dictionary.');
-        return;
-      }
-      const actionName = actionType.name;
+  /**
+   * Deletes a page, and removes its /Page dictionary from the document.
+   * @param {number} pageIndex
+   */
+  async deletePage(pageIndex) {
+    const [pageDict, pageRef] = await this._getEditablePage(pageIndex,
+                                                            'deletePage');
+    this._detachPage(pageDict, pageRef);
+    this.xref.removeObject(pageRef);
+    this._resetPageTree();
+  }
 
-      switch (actionName) {
-        case 'URI':
-          url = action.get('URI');
-          if (isName(url)) {
-            // Some bad PDFs do not put parentheses around relative URLs.
-            url = '/' + url.name;
-          } else if (isString(url)) {
-            url = addDefaultProtocolToUrl(url);
-          }
-          // TODO: pdf spec mentions urls can be relative to a Base
-          // entry in the dictionary.
-          break;
+  /**
+   * Moves a page to another position in the document.
+   * @param {number} pageIndex - The current index of the page.
+   * @param {number} newPageIndex - The new index of the page, i.e. its index
+   *   after it has been moved.
+   */
+  async movePage(pageIndex, newPageIndex) {
+    const numPages = this.numPages;
+    if (!Number.isInteger(newPageIndex) || newPageIndex < 0 ||
+        newPageIndex >= numPages) {
+      throw new Error(
+        `Catalog.movePage - invalid page index: ${newPageIndex}.`);
+    }
+    if (pageIndex === newPageIndex) {
+      return;
+    }
+    const [sourceDict, pageRef] = await this._getEditablePage(pageIndex,
+                                                              'movePage');
+    // The page is inserted before, or after, the page that currently has the
+    // new index; the latter is the case when moving a page towards the end.
+    const [siblingDict, siblingRef] = await this.getPageDict(newPageIndex);
+    if (!isRef(siblingRef)) {
+      throw new FormatError('Page dictionary must be a reference.');
+    }
+    const pageDict = cloneDict(sourceDict);
+    materializeInheritedAttributes(pageDict, sourceDict);
+
+    this._detachPage(sourceDict, pageRef);
+    const parentRef = siblingDict.getRaw('Parent');
+    const kidIndex = this._getKidIndex(parentRef, siblingRef) +
+                     (newPageIndex > pageIndex ? 1 : 0);
+    this._attachPage(pageRef, pageDict, parentRef, kidIndex);
+    this._resetPageTree();
+  }
 
-        case 'GoTo':
-          dest = action.get('D');
-          break;
+  /**
+   * Sets the rotation of a page.
+   * @param {number} pageIndex
+   * @param {number} rotation - The clockwise rotation, in degrees, which must
+   *   be a multiple of 90.
+   */
+  async setPageRotation(pageIndex, rotation) {
+    if (!Number.isInteger(rotation) || rotation % 90 !== 0) {
+      throw new Error(
+        `Catalog.setPageRotation - invalid rotation: ${rotation}.`);
+    }
+    const [sourceDict, pageRef] = await this._getEditablePage(
+      pageIndex, 'setPageRotation');
+    const pageDict = cloneDict(sourceDict);
+    pageDict.set('Rotate', (rotation % 360 + 360) % 360);
+    this.xref.putObject(pageRef, pageDict);
+  }
 
-        case 'Launch':
-          // We neither want, nor can, support arbitrary 'Launch' actions.
-          // However, in practice they are mostly used for linking to other PDF
-          // files, which we thus attempt to support (utilizing `docBaseUrl`).
-          /* falls through */
+  /**
+   * @private
+   */
+  async _getEditablePage(pageIndex, caller) {
+    if (!Number.isInteger(pageIndex) || pageIndex < 0 ||
+        pageIndex >= this.numPages) {
+      throw new Error(`Catalog.${caller} - invalid page index: ${pageIndex}.`);
+    }
+    const [pageDict, pageRef] = await this.getPageDict(pageIndex);
+    if (!isRef(pageRef)) {
+      throw new FormatError('Page dictionary must be a reference.');
+    }
+    return [pageDict, pageRef];
+  }
 
-        case 'GoToR':
-          const urlDict = action.get('F');
-          if (isDict(urlDict)) {
-            // We assume that we found a FileSpec dictionary
-            // and fetch the URL without checking any further.
-            url = urlDict.get('F') || null;
-          } else if (isString(urlDict)) {
-            url = urlDict;
-          }
+  /**
+   * @private
+   */
+  _getKidIndex(parentRef, kidRef) {
+    const parentDict = this.xref.fetchIfRef(parentRef);
+    const kids = (isDict(parentDict) ? parentDict.get('Kids') : null);
+    const kidIndex = (Array.isArray(kids) ?
+                      kids.findIndex((kid) => isRefsEqual(kid, kidRef)) : -1);
+    if (!isRef(parentRef) || kidIndex < 0) {
+      throw new FormatError('Kid reference not found in parent\'s kids.');
+    }
+    return kidIndex;
+  }
 
-          // NOTE: the destination is relative to the *remote* document.
-          let remoteDest = action.get('D');
-          if (remoteDest) {
-            if (isName(remoteDest)) {
-              remoteDest = remoteDest.name;
-            }
-            if (isString(url)) {
-              const baseUrl = url.split('#')[0];
-              if (isString(remoteDest)) {
-                url = baseUrl + '#' + remoteDest;
-              } else if (Array.isArray(remoteDest)) {
-                url = baseUrl + '#' + JSON.stringify(remoteDest);
-              }
-            }
-          }
-          // The 'NewWindow' property, equal to `LinkTarget.BLANK`.
-          const newWindow = action.get('NewWindow');
-          if (isBool(newWindow)) {
-            resultObj.newWindow = newWindow;
-          }
-          break;
+  /**
+   * Removes a page from the /Kids of its parent, and updates the /Count of all
+   * of its ancestors; the page itself isn't modified.
+   * @private
+   */
+  _detachPage(pageDict, pageRef) {
+    const xref = this.xref, parentRef = pageDict.getRaw('Parent');
+    const kidIndex = this._getKidIndex(parentRef, pageRef);
+
+    const parentDict = cloneDict(xref.fetch(parentRef));
+    const kids = parentDict.get('Kids').slice();
+    kids.splice(kidIndex, 1);
+    parentDict.set('Kids', kids);
+    xref.putObject(parentRef, parentDict);
+    this._updatePageCounts(parentRef, -1);
+  }
 
-        case 'Named':
-          const namedAction = action.get('N');
-          if (isName(namedAction)) {
-            resultObj.action = namedAction.name;
-          }
-          break;
+  /**
+   * Inserts a page into the /Kids of a page tree node, and updates the /Count
+   * of the node and all of its ancestors.
+   * @private
+   */
+  _attachPage(pageRef, pageDict, parentRef, kidIndex) {
+    const xref = this.xref;
+    const parentDict = cloneDict(xref.fetch(parentRef));
+    const kids = parentDict.get('Kids');
+    const newKids = (Array.isArray(kids) ? kids.slice() : []);
+    newKids.splice(kidIndex, 0, pageRef);
+    parentDict.set('Kids', newKids);
+    xref.putObject(parentRef, parentDict);
+
+    pageDict.set('Parent', parentRef);
+    xref.putObject(pageRef, pageDict);
+    this._updatePageCounts(parentRef, 1);
+  }
 
-        case 'JavaScript':
-          const jsAction = action.get('JS');
-          let js;
+  /**
+   * @private
+   */
+  _updatePageCounts(nodeRef, delta) {
+    const xref = this.xref;
+    // Prevent infinite loops, caused by circular /Parent entries.
+    const visitedNodes = new RefSet();
+
+    while (isRef(nodeRef) && !visitedNodes.has(nodeRef)) {
+      visitedNodes.put(nodeRef);
+      const nodeDict = cloneDict(xref.fetch(nodeRef));
+      const count = nodeDict.get('Count');
+      nodeDict.set('Count', (Number.isInteger(count) ? count : 0) + delta);
+      xref.putObject(nodeRef, nodeDict);
+      nodeRef = nodeDict.getRaw('Parent');
+    }
+  }
 
-          if (isStream(jsAction)) {
-            js = bytesToString(jsAction.getBytes());
-          } else if (isString(jsAction)) {
-            js = jsAction;
-          }
+  /**
+   * Ensures that all cached page tree data reflects the changes of the page
+   * tree, after inserting, deleting or moving pages.
+   * @private
+   */
+  _resetPageTree() {
+    this.pageKidsCountCache.clear();
+    for (const name of ['toplevelPagesDict', 'numPages', 'pageLabels',
+                        'pageLabelRanges']) {
+      delete this[name];
+    }
+    this._pageLabelIndex = null;
+    if (this._pageIndex) {
+      // Re-build the page index, since it was used before.
+      this._pageIndex = null;
+      const promise = this.buildPageIndex(), pageIndex = this._pageIndex;
+      promise.catch((reason) => {
+        reportDiagnostic(this.xref, {
+          code: DiagnosticCode.PAGE_INDEX_UNREADABLE,
+          message: `Unable to re-build the page index: "${reason}".`,
+        });
+        // Unless the page tree was changed again in the meantime, allow the
+        // index to be re-built later.
+        if (this._pageIndex === pageIndex) {
+          this._pageIndex = null;
+        }
+      });
+    }
+  }
 
-          if (js) {
-            // Attempt to recover valid URLs from `JS` entries with certain
-            // white-listed formats:
-            //  - window.open('http://example.com')
-            //  - app.launchURL('http://example.com', true)
-            const URL_OPEN_METHODS = [
-              'app.launchURL',
-              'window.open'
-            ];
-            const regex = new RegExp(
-              '^\\s*(' + URL_OPEN_METHODS.join('|').split('.').join('\\.') +
-              ')\\((?:\'|\")([^\'\"]*)(?:\'|\")(?:,\\s*(\\w+)\\)|\\))', 'i');
-
-            const jsUrl = regex.exec(stringToPDFString(js));
-            if (jsUrl && jsUrl[2]) {
-              url = jsUrl[2];
-
-              if (jsUrl[3] === 'true' && jsUrl[1] === 'app.launchURL') {
-                resultObj.newWindow = true;
-              }
-              break;
-            }
+  /**
+   * Copies a page from another document, including all objects that it
+   * (indirectly) references; see `insertPage`.
+   * @private
+   */
+  _copyPage(sourceDict, sourceRef, pageRef) {
+    const xref = this.xref, sourceXRef = sourceDict.xref;
+    const copiedRefs = new RefSetCache();
+    const queue = [], copies = [];
+
+    // Other pages cannot be copied, since that would copy the entire page
+    // tree; hence they, and the destinations and actions pointing to them,
+    // are skipped (i.e. copied as `null`).
+    const isOtherPage = (value) => {
+      if (!isRef(value) || isRefsEqual(value, sourceRef)) {
+        return false;
+      }
+      const obj = sourceXRef.fetch(value);
+      return isDict(obj, 'Page') || isDict(obj, 'Pages');
+    };
+    const isSkippedAction = (dict) => {
+      if (!dict.has('S')) {
+        return false;
+      }
+      const dest = sourceXRef.fetchIfRef(dict.getRaw('D'));
+      return Array.isArray(dest) && isOtherPage(dest[0]);
+    };
+
+    // Skipped values are removed from the /Annots array, whereas in other
+    // arrays they're kept as `null` to preserve the position of the elements.
+    const copyValue = (value, isAnnots = false) => {
+      if (isRef(value)) {
+        if (copiedRefs.has(value)) {
+          return copiedRefs.get(value);
+        }
+        const obj = sourceXRef.fetch(value);
+        if (isOtherPage(value) || (isDict(obj) && isSkippedAction(obj))) {
+          copiedRefs.put(value, null);
+          return null;
+        }
+        const ref = xref.getNewRef();
+        copiedRefs.put(value, ref);
+        queue.push({ obj, ref, isAnnots, });
+        return ref;
+      }
+      if (Array.isArray(value)) {
+        if (isOtherPage(value[0])) { // An explicit destination.
+          return null;
+        }
+        const array = value.map((item) => copyValue(item));
+        return (isAnnots ? array.filter((annot) => annot !== null) : array);
+      }
+      if (isDict(value)) {
+        if (isSkippedAction(value)) {
+          return null;
+        }
+        const isWidget = isName(value.get('Subtype'), 'Widget');
+        const dict = new Dict(xref);
+        for (const key of value.getKeys()) {
+          if (key === 'Parent' && isWidget) {
+            continue;
           }
-          /* falls through */
-        default:
-          warn(`parseDestDictionary: unsupported action type "${actionName}".`);
-          break;
+          const rawValue = value.getRaw(key);
+          const copy = copyValue(rawValue, key === 'Annots');
+          if (copy !== null || rawValue === null) {
+            dict.set(key, copy);
+          }
+        }
+        return dict;
       }
-    } else if (destDict.has('Dest')) { // Simple destination.
-      dest = destDict.get('Dest');
+      if (isStream(value)) {
+        const { bytes, encoded, } = getStreamData(value);
+        let dict = copyValue(value.dict);
+        if (!encoded) {
+          dict = updateDict(dict, STREAM_ENCODING_ENTRIES);
+        }
+        dict.set('Length', bytes.length);
+        return new Stream(bytes, 0, bytes.length, dict);
+      }
+      return value;
+    };
+
+    if (isRef(sourceRef)) {
+      copiedRefs.put(sourceRef, pageRef);
     }
+    // The page belongs to neither the structure tree, nor the article
+    // threads, of this document.
+    const pageDict = updateDict(copyValue(sourceDict), {
+      StructParents: undefined,
+      B: undefined,
+    });
 
-    if (isString(url)) {
-      url = tryConvertUrlEncoding(url);
-      const absoluteUrl = createValidAbsoluteUrl(url, docBaseUrl);
-      if (absoluteUrl) {
-        resultObj.url = absoluteUrl.href;
-      }
-      resultObj.unsafeUrl = url;
+    while (queue.length > 0) {
+      const { obj, ref, isAnnots, } = queue.shift();
+      copies.push({ ref, copy: copyValue(obj, isAnnots), });
     }
-    if (dest) {
-      if (isName(dest)) {
-        dest = dest.name;
+
+    // The streams are written last, since decoding them may require other
+    // copied objects (e.g. an indirect /DecodeParms dictionary).
+    for (const { ref, copy, } of copies) {
+      if (!isStream(copy)) {
+        xref.putObject(ref, copy);
       }
-      if (isString(dest) || Array.isArray(dest)) {
-        resultObj.dest = dest;
+    }
+    for (const { ref, copy, } of copies) {
+      if (isStream(copy)) {
+        xref.putObject(ref, makeDecodingStream(copy, xref));
       }
     }
+    this._setAnnotationsPage(pageDict, pageRef);
+    return pageDict;
   }
-}
 
-var XRef = (function XRefClosure() {
-  function XRef(stream, pdfManager) {
-    this.stream = stream;
-    this.pdfManager = pdfManager;
-    this.entries = [];
-    this.xrefstms = Object.create(null);
-    // prepare the XRef cache
-    this.cache = [];
-    this.stats = {
-      streamTypes: Object.create(null),
-      fontTypes: Object.create(null),
+  /**
+   * Copies the annotations of a page that is copied within this document,
+   * since annotations must not be shared by pages; see `insertPage`.
+   * @private
+   */
+  _copyAnnotations(pageDict, pageRef) {
+    const xref = this.xref;
+    const annots = pageDict.get('Annots');
+    if (!Array.isArray(annots)) {
+      return;
+    }
+    const copiedRefs = new RefSetCache();
+    for (const annot of annots) {
+      if (isRef(annot)) {
+        copiedRefs.put(annot, xref.getNewRef());
+      }
+    }
+    // The copies are only written once all annotations have been copied.
+    const copies = [], fieldCopies = new RefSetCache();
+    const copyAnnotation = (annot) => {
+      const annotDict = xref.fetchIfRef(annot);
+      if (!isDict(annotDict)) {
+        return annot;
+      }
+      const dict = cloneDict(annotDict, xref);
+      // Update the links between the copied annotations, e.g. between markup
+      // annotations and their pop-up annotations.
+      for (const key of ['Popup', 'Parent', 'IRT']) {
+        const value = dict.getRaw(key);
+        if (isRef(value) && copiedRefs.has(value)) {
+          dict.set(key, copiedRefs.get(value));
+        }
+      }
+      if (!isRef(annot)) {
+        return dict;
+      }
+      const ref = copiedRefs.get(annot);
+      copies.push({ ref, copy: dict, });
+
+      // The copy of a widget annotation is another widget of the same field.
+      const fieldRef = dict.getRaw('Parent');
+      if (isName(dict.get('Subtype'), 'Widget') && isRef(fieldRef) &&
+          !copiedRefs.has(fieldRef)) {
+        let fieldDict = fieldCopies.get(fieldRef);
+        if (!fieldDict) {
+          fieldDict = cloneDict(xref.fetch(fieldRef), xref);
+          fieldCopies.put(fieldRef, fieldDict);
+          copies.push({ ref: fieldRef, copy: fieldDict, });
+        }
+        const kids = fieldDict.get('Kids');
+        if (Array.isArray(kids)) {
+          fieldDict.set('Kids', kids.concat(ref));
+        }
+      }
+      return ref;
     };
+    const newAnnots = annots.map(copyAnnotation);
+    for (const { ref, copy, } of copies) {
+      xref.putObject(ref, copy);
+    }
+    pageDict.set('Annots', newAnnots);
+    this._setAnnotationsPage(pageDict, pageRef);
   }
 
-  XRef.prototype = {
-    setStartXRef: function XRef_setStartXRef(startXRef) {
-      // Store the starting positions of xref tables as we process them
-      // so we can recover from missing data errors
-      this.startXRefQueue = [startXRef];
-    },
+  /**
+   * Points the /P entries of the (copied) annotations of a page to the page.
+   * @private
+   */
+  _setAnnotationsPage(pageDict, pageRef) {
+    const annots = pageDict.get('Annots');
+    if (!Array.isArray(annots)) {
+      return;
+    }
+    for (const annot of annots) {
+      const annotDict = this.xref.fetchIfRef(annot);
+      if (isDict(annotDict)) {
+        annotDict.set('P', pageRef);
+      }
+    }
+  }
 
-    parse: function XRef_parse(recoveryMode) {
-      var trailerDict;
-      if (!recoveryMode) {
-        trailerDict = this.readXRef();
-      } else {
-        warn('Indexing all PDF objects');
-        trailerDict = this.indexObjects();
+  /**
+   * Compares two revisions of the document, see `XRef.getRevisions`, both at
+   * the object level and at the level of the document structure.
+   * @param {number} fromIndex - The index of the older revision.
+   * @param {number} toIndex - The index of the newer revision.
+   * @returns {Object} An object with an `objects` property, containing the
+   *   result of `XRef.compareRevisions`, and a `catalog` property summarizing
+   *   the changes of the pages, the outline and the attachments. Pages and
+   *   outline items are reported with their references, attachments by name.
+   */
+  compareRevisions(fromIndex, toIndex) {
+    if (fromIndex > toIndex) {
+      [fromIndex, toIndex] = [toIndex, fromIndex];
+    }
+    const objects = this.xref.compareRevisions(fromIndex, toIndex);
+    const fromCatalog = new Catalog(this.pdfManager,
+                                    this.xref.getRevisionXRef(fromIndex));
+    const toCatalog = new Catalog(this.pdfManager,
+                                  this.xref.getRevisionXRef(toIndex));
+
+    // Pages are identified by their references.
+    const fromPageRefs = fromCatalog._collectPageRefs();
+    const toPageRefs = toCatalog._collectPageRefs();
+    const fromPages = new RefSetCache(), toPages = new RefSetCache();
+    fromPageRefs.forEach((ref, pageIndex) => {
+      if (ref) {
+        fromPages.put(ref, pageIndex);
       }
-      trailerDict.assignXref(this);
-      this.trailer = trailerDict;
+    });
+    toPageRefs.forEach((ref, pageIndex) => {
+      if (ref) {
+        toPages.put(ref, pageIndex);
+      }
+    });
+    const changedObjects = new RefSet();
+    for (const { ref, } of objects.changed) {
+      changedObjects.put(ref);
+    }
+    const pagesAdded = [], pagesRemoved = [], pagesModified = [];
+    toPageRefs.forEach((ref, pageIndex) => {
+      if (!ref) {
+        return;
+      }
+      if (!fromPages.has(ref)) {
+        pagesAdded.push({ ref, pageIndex, });
+      } else if (changedObjects.has(ref)) {
+        pagesModified.push({ ref, pageIndex, });
+      }
+    });
+    fromPageRefs.forEach((ref, pageIndex) => {
+      if (ref && !toPages.has(ref)) {
+        pagesRemoved.push({ ref, pageIndex, });
+      }
+    });
 
-      let encrypt;
-      try {
-        encrypt = trailerDict.get('Encrypt');
-      } catch (ex) {
-        if (ex instanceof MissingDataException) {
-          throw ex;
+    // Outline items are identified by their references, since titles need not
+    // be unique.
+    const fromOutline = fromCatalog._collectOutlineItems();
+    const toOutline = toCatalog._collectOutlineItems();
+    const outlineAdded = [], outlineRemoved = [], outlineModified = [];
+    for (const [key, { ref, titles, data, }] of toOutline) {
+      if (!fromOutline.has(key)) {
+        outlineAdded.push({ ref, titles, });
+      } else if (fromOutline.get(key).data !== data) {
+        outlineModified.push({ ref, titles, });
+      }
+    }
+    for (const [key, { ref, titles, }] of fromOutline) {
+      if (!toOutline.has(key)) {
+        outlineRemoved.push({ ref, titles, });
+      }
+    }
+
+    // Attachments are identified by their names, and are modified when their
+    // embedded file stream was replaced or changed.
+    const fromAttachments = fromCatalog._collectAttachmentStreams();
+    const toAttachments = toCatalog._collectAttachmentStreams();
+    const attachmentsAdded = [], attachmentsRemoved = [];
+    const attachmentsModified = [];
+    for (const [name, streamRef] of toAttachments) {
+      if (!fromAttachments.has(name)) {
+        attachmentsAdded.push(name);
+        continue;
+      }
+      const oldStreamRef = fromAttachments.get(name);
+      if (!oldStreamRef || !streamRef) {
+        if (oldStreamRef !== streamRef) {
+          attachmentsModified.push(name);
         }
-        warn(`XRef.parse - Invalid "Encrypt" reference: "${ex}".`);
+      } else if (!isRefsEqual(oldStreamRef, streamRef) ||
+                 changedObjects.has(streamRef)) {
+        attachmentsModified.push(name);
       }
-      if (isDict(encrypt)) {
-        var ids = trailerDict.get('ID');
-        var fileId = (ids && ids.length) ? ids[0] : '';
-        // The 'Encrypt' dictionary itself should not be encrypted, and by
-        // setting `suppressEncryption` we can prevent an infinite loop inside
-        // of `XRef_fetchUncompressed` if the dictionary contains indirect
-        // objects (fixes issue7665.pdf).
-        encrypt.suppressEncryption = true;
-        this.encrypt = new CipherTransformFactory(encrypt, fileId,
-                                                  this.pdfManager.password);
+    }
+    for (const name of fromAttachments.keys()) {
+      if (!toAttachments.has(name)) {
+        attachmentsRemoved.push(name);
       }
+    }
 
-      // Get the root dictionary (catalog) object, and do some basic validation.
-      let root;
+    return {
+      objects,
+      catalog: {
+        pagesAdded,
+        pagesRemoved,
+        pagesModified,
+        outline: {
+          added: outlineAdded,
+          removed: outlineRemoved,
+          modified: outlineModified,
+        },
+        attachmentsAdded,
+        attachmentsRemoved,
+        attachmentsModified,
+      },
+    };
+  }
+
+  /**
+   * Synchronously collects the references of all pages, in page order.
+   * NOTE: Pages that are (incorrectly) inlined in the /Kids array are
+   * represented by `null`, since they don't have a reference.
+   * @private
+   */
+  _collectPageRefs() {
+    const pageRefs = [], visitedNodes = new RefSet();
+    const nodesToVisit = [this.catDict.getRaw('Pages')];
+
+    while (nodesToVisit.length) {
+      const currentNode = nodesToVisit.pop();
+      let obj = currentNode;
+      if (isRef(currentNode)) {
+        if (visitedNodes.has(currentNode)) {
+          reportDiagnostic(this.xref, {
+            code: DiagnosticCode.PAGE_TREE_CIRCULAR_REFERENCE,
+            message: 'Skipping circular reference in page tree.',
+            ref: currentNode,
+            category: DiagnosticCategory.SKIPPED,
+          });
+          continue;
+        }
+        visitedNodes.put(currentNode);
+        obj = this.xref.fetch(currentNode);
+      }
+      if (!isDict(obj)) {
+        continue;
+      }
+      if (isPageTreeLeaf(obj)) {
+        pageRefs.push(isRef(currentNode) ? currentNode : null);
+        continue;
+      }
+      const kids = obj.get('Kids');
+      if (!Array.isArray(kids)) {
+        continue;
+      }
+      for (let last = kids.length - 1; last >= 0; last--) {
+        nodesToVisit.push(kids[last]);
+      }
+    }
+    return pageRefs;
+  }
+
+  /**
+   * Synchronously collects the outline items by reference, together with
+   * their titles (including those of their ancestors) and a serialization of
+   * their properties. Invalid items, and their children, are skipped.
+   * @private
+   */
+  _collectOutlineItems() {
+    const items = new Map();
+    const outlines = this.catDict.get('Outlines');
+    if (!isDict(outlines)) {
+      return items;
+    }
+    const processed = new RefSet();
+    const queue = [{ obj: outlines.getRaw('First'), parentTitles: [], }];
+
+    while (queue.length > 0) {
+      const { obj, parentTitles, } = queue.shift();
+      if (!isRef(obj) || processed.has(obj)) {
+        continue;
+      }
+      processed.put(obj);
+      const outlineDict = this.xref.fetch(obj);
+      let item;
       try {
-        root = trailerDict.get('Root');
+        item = this._parseOutlineItem(outlineDict);
       } catch (ex) {
         if (ex instanceof MissingDataException) {
           throw ex;
         }
-        warn(`XRef.parse - Invalid "Root" reference: "${ex}".`);
+        continue;
       }
-      if (isDict(root) && root.has('Pages')) {
-        this.root = root;
-      } else {
-        if (!recoveryMode) {
-          throw new XRefParseException();
+      const titles = parentTitles.concat(item.title);
+      const { dest, url, unsafeUrl, newWindow, color, count, bold, italic, } =
+        item;
+      items.set(obj.toString(), {
+        ref: obj,
+        titles,
+        data: JSON.stringify({
+          title: item.title, dest, url, unsafeUrl, newWindow, count, bold,
+          italic, color: Array.from(color),
+        }),
+      });
+      queue.push({ obj: outlineDict.getRaw('First'), parentTitles: titles, });
+      queue.push({ obj: outlineDict.getRaw('Next'), parentTitles, });
+    }
+    return items;
+  }
+
+  /**
+   * Synchronously collects the attachments by name, together with the
+   * reference of their embedded file stream (or `null` if there is none).
+   * @private
+   */
+  _collectAttachmentStreams() {
+    const attachments = new Map();
+    const obj = this.catDict.get('Names');
+    if (!isDict(obj) || !obj.has('EmbeddedFiles')) {
+      return attachments;
+    }
+    const nameTree = new NameTree(obj.getRaw('EmbeddedFiles'), this.xref);
+    const names = nameTree.getAll();
+    for (const key in names) {
+      const fileSpec = names[key];
+      let streamRef = null;
+      if (isDict(fileSpec)) {
+        const ef = fileSpec.get('EF');
+        if (isDict(ef)) {
+          const raw = ef.getRaw('UF') || ef.getRaw('F') ||
+                      ef.getRaw('Unix') || ef.getRaw('Mac') ||
+                      ef.getRaw('DOS');
+          streamRef = (isRef(raw) ? raw : null);
         }
-        throw new FormatError('Invalid root reference');
       }
-    },
+      attachments.set(stringToPDFString(key), streamRef);
+    }
+    return attachments;
+  }
 
-    processXRefTable: function XRef_processXRefTable(parser) {
-      if (!('tableState' in this)) {
-        // Stores state of the table as we process it so we can resume
-        // from middle of table in case of missing data error
-        this.tableState = {
-          entryNum: 0,
-          streamPos: parser.lexer.stream.pos,
-          parserBuf1: parser.buf1,
-          parserBuf2: parser.buf2,
-        };
-      }
+  /**
+   * @private
+   */
+  _findAttachment(name) {
+    const obj = this.catDict.get('Names');
+    if (!isDict(obj) || !obj.has('EmbeddedFiles')) {
+      return null;
+    }
+    const nameTree = new NameTree(obj.getRaw('EmbeddedFiles'), this.xref);
+    const names = nameTree.getAll();
+    const key = Object.keys(names).find((rawName) => {
+      return stringToPDFString(rawName) === name;
+    });
+    return (key !== undefined ? names[key] : null);
+  }
 
-      var obj = this.readXRefTable(parser);
+  /**
+   * The metadata of the attachments, see `FileSpec.metadata`, by name. Unlike
+   * `attachments`, the (possibly large) embedded files aren't read; their
+   * content can be requested using `readAttachment` or `getAttachmentBytes`.
+   */
+  get attachmentMetadata() {
+    const obj = this.catDict.get('Names');
+    let attachmentMetadata = null;
 
-      // Sanity check
-      if (!isCmd(obj, 'trailer')) {
-        throw new FormatError(
-          'Invalid XRef table: could not find trailer dictionary');
+    if (obj && obj.has('EmbeddedFiles')) {
+      const nameTree = new NameTree(obj.getRaw('EmbeddedFiles'), this.xref);
+      const names = nameTree.getAll();
+      for (const name in names) {
+        const fs = new FileSpec(names[name], this.xref);
+        if (!attachmentMetadata) {
+          attachmentMetadata = Object.create(null);
+        }
+        attachmentMetadata[stringToPDFString(name)] = fs.metadata;
       }
-      // Read trailer dictionary, e.g.
-      // trailer
-      //    << /Size 22
-      //      /Root 20R
-      //      /Info 10R
-      //      /ID [ <81b14aafa313db63dbd6f981e49f94f4> ]
-      //    >>
-      // The parser goes through the entire stream << ... >> and provides
-      // a getter interface for the key-value table
-      var dict = parser.getObj();
+    }
+    return shadow(this, 'attachmentMetadata', attachmentMetadata);
+  }
 
-      // The pdflib PDF generator can generate a nested trailer dictionary
-      if (!isDict(dict) && dict.dict) {
-        dict = dict.dict;
+  /**
+   * Reads the content of an attachment in chunks, loading the file data on
+   * demand. Unencoded data is read directly from the document, whereas encoded
+   * data is loaded completely before it's decoded.
+   * @param {string} name - The name of the attachment, as in `attachments`.
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize] - The maximum length of the chunks.
+   * @returns {AsyncGenerator<Uint8Array>}
+   */
+  async *readAttachment(name, { chunkSize = ATTACHMENT_CHUNK_SIZE, } = {}) {
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new Error(
+        `Catalog.readAttachment - invalid chunkSize: ${chunkSize}.`);
+    }
+    const location = await this._getAttachmentLocation(name, 'readAttachment');
+    if (this._isUnencodedAttachment(location)) {
+      for (let begin = 0; begin < location.length; begin += chunkSize) {
+        const end = Math.min(begin + chunkSize, location.length);
+        yield await this._readAttachmentData(location, begin, end);
       }
-      if (!isDict(dict)) {
-        throw new FormatError(
-          'Invalid XRef table: could not parse trailer dictionary');
+      return;
+    }
+    const stream = await this._loadAttachmentStream(location, chunkSize);
+    let chunk;
+    while ((chunk = stream.getBytes(chunkSize)).length > 0) {
+      yield new Uint8Array(chunk);
+    }
+  }
+
+  /**
+   * Reads a byte range of the content of an attachment, see `readAttachment`.
+   * @param {string} name - The name of the attachment, as in `attachments`.
+   * @param {number} [begin] - The offset of the first byte, in the content.
+   * @param {number} [end] - The offset after the last byte, in the content;
+   *   defaults to the end of the content.
+   * @returns {Promise<Uint8Array>}
+   */
+  async getAttachmentBytes(name, begin = 0, end = undefined) {
+    if (!Number.isInteger(begin) || begin < 0 ||
+        (end !== undefined && (!Number.isInteger(end) || end < begin))) {
+      throw new Error('Catalog.getAttachmentBytes - invalid byte range: ' +
+                      `${begin}-${end}.`);
+    }
+    const location = await this._getAttachmentLocation(name,
+                                                       'getAttachmentBytes');
+    if (this._isUnencodedAttachment(location)) {
+      end = Math.min(end === undefined ? location.length : end,
+                     location.length);
+      return this._readAttachmentData(location, Math.min(begin, end), end);
+    }
+    if (begin === end) {
+      return new Uint8Array(0);
+    }
+    const stream = await this._loadAttachmentStream(location);
+    if (begin > 0) { // NOTE: `skip` skips one byte when the length is zero.
+      stream.skip(begin);
+    }
+    const bytes = (end === undefined ? stream.getBytes() :
+                   stream.getBytes(end - begin));
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * @private
+   */
+  async _getAttachmentLocation(name, caller) {
+    const location = await this._ensureData(() => {
+      const fileSpec = this._findAttachment(name);
+      if (!isDict(fileSpec)) {
+        throw new Error(`Catalog.${caller} - unknown attachment: ${name}.`);
       }
-      delete this.tableState;
+      return new FileSpec(fileSpec, this.xref).getContentLocation();
+    });
+    if (!location) {
+      throw new FormatError('Embedded file has no content.');
+    }
+    return location;
+  }
 
-      return dict;
-    },
+  /**
+   * @private
+   */
+  _isUnencodedAttachment(location) {
+    return (location.start !== null && !this.xref.encrypt &&
+            !location.dict.has('Filter') && !location.dict.has('F'));
+  }
 
-    readXRefTable: function XRef_readXRefTable(parser) {
-      // Example of cross-reference table:
-      // xref
-      // 0 1                    <-- subsection header (first obj #, obj count)
-      // 0000000000 65535 f     <-- actual object (offset, generation #, f/n)
-      // 23 2                   <-- subsection header ... and so on ...
-      // 0000025518 00002 n
-      // 0000025635 00000 n
-      // trailer
-      // ...
+  /**
+   * @private
+   */
+  async _readAttachmentData(location, begin, end) {
+    const start = location.start;
+    const bytes = await this._ensureData(() => {
+      return getStreamByteRange(this.xref.stream, start + begin, start + end);
+    });
+    // Copy the data, since it's a view of the data of this document.
+    return new Uint8Array(bytes);
+  }
 
-      var stream = parser.lexer.stream;
-      var tableState = this.tableState;
-      stream.pos = tableState.streamPos;
-      parser.buf1 = tableState.parserBuf1;
-      parser.buf2 = tableState.parserBuf2;
+  /**
+   * Loads the encoded data of an attachment, in chunks, and returns the
+   * (decoding) stream.
+   * @private
+   */
+  async _loadAttachmentStream(location, chunkSize = ATTACHMENT_CHUNK_SIZE) {
+    if (location.start !== null) {
+      const start = location.start, end = start + location.length;
+      for (let begin = start; begin < end; begin += chunkSize) {
+        await this._ensureData(() => {
+          return getStreamByteRange(this.xref.stream, begin,
+                                    Math.min(begin + chunkSize, end));
+        });
+      }
+    }
+    const stream = await this._ensureData(() => {
+      return this.xref.fetchIfRef(location.ref);
+    });
+    stream.reset();
+    return stream;
+  }
 
-      // Outer loop is over subsection headers
-      var obj;
+  /**
+   * Opens an embedded PDF file, i.e. an attachment, as a separate document.
+   * @param {string} name - The name of the attachment, as in `attachments`.
+   * @returns {Promise<Catalog>} The catalog of the embedded document, whose
+   *   `xref` property contains its `XRef`.
+   */
+  async openEmbeddedDocument(name) {
+    return this._getEmbeddedDocument(`name:${name}`, async () => {
+      const fileSpec = await this._ensureData(() => {
+        return this._findAttachment(name);
+      });
+      if (!isDict(fileSpec)) {
+        throw new Error(
+          `Catalog.openEmbeddedDocument - unknown attachment: ${name}.`);
+      }
+      return fileSpec;
+    });
+  }
 
-      while (true) {
-        if (!('firstEntryNum' in tableState) || !('entryCount' in tableState)) {
-          if (isCmd(obj = parser.getObj(), 'trailer')) {
-            break;
-          }
-          tableState.firstEntryNum = obj;
-          tableState.entryCount = parser.getObj();
+  /**
+   * Opens the embedded PDF file of a file attachment annotation, see
+   * `openEmbeddedDocument`.
+   * @param {number|string} page - The index of the page, or a named
+   *   destination pointing to the page.
+   * @param {number|string} annotation - The index of the annotation in the
+   *   /Annots array of the page, or the value of its /NM entry.
+   * @returns {Promise<Catalog>}
+   */
+  async openAnnotationDocument(page, annotation) {
+    let pageIndex = page;
+    if (isString(page)) {
+      const resolvedDest = this.createDestinationResolver()(page);
+      pageIndex = (resolvedDest ? resolvedDest.pageIndex : null);
+    }
+    if (!Number.isInteger(pageIndex)) {
+      throw new Error(
+        `Catalog.openAnnotationDocument - invalid page: ${page}.`);
+    }
+    const cacheKey = `annotation:${pageIndex}:${annotation}`;
+    return this._getEmbeddedDocument(cacheKey, async () => {
+      const [pageDict] = await this.getPageDict(pageIndex);
+      const fileSpec = await this._ensureData(() => {
+        const annots = pageDict.get('Annots');
+        if (!Array.isArray(annots)) {
+          return null;
         }
+        let annotDict;
+        if (Number.isInteger(annotation)) {
+          annotDict = this.xref.fetchIfRef(annots[annotation]);
+        } else {
+          annotDict = annots.map((annot) => this.xref.fetchIfRef(annot))
+            .find((dict) => isDict(dict) && dict.get('NM') === annotation);
+        }
+        return (isDict(annotDict) && isName(annotDict.get('Subtype'),
+                                            'FileAttachment') ?
+                annotDict.get('FS') : null);
+      });
+      if (!isDict(fileSpec)) {
+        throw new Error('Catalog.openAnnotationDocument - no file ' +
+                        `attachment annotation found: ${annotation}.`);
+      }
+      return fileSpec;
+    });
+  }
 
-        var first = tableState.firstEntryNum;
-        var count = tableState.entryCount;
-        if (!Number.isInteger(first) || !Number.isInteger(count)) {
-          throw new FormatError(
-            'Invalid XRef table: wrong types in subsection header');
+  /**
+   * Returns the (cached) embedded document, where `getFileSpec` returns a
+   * promise for its file specification dictionary. The promise is cached
+   * before any data is loaded, such that concurrent calls share it.
+   * @private
+   */
+  _getEmbeddedDocument(cacheKey, getFileSpec) {
+    let promise = this._embeddedDocuments.get(cacheKey);
+    if (!promise) {
+      promise = getFileSpec().then((fileSpec) => {
+        return this._openEmbeddedFileSpec(fileSpec);
+      });
+      this._embeddedDocuments.set(cacheKey, promise);
+      // Don't cache failures, such that opening the document can be retried.
+      promise.catch(() => {
+        if (this._embeddedDocuments.get(cacheKey) === promise) {
+          this._embeddedDocuments.delete(cacheKey);
         }
-        // Inner loop is over objects themselves
+      });
+    }
+    return promise;
+  }
+
+  /**
+   * @private
+   */
+  async _openEmbeddedFileSpec(fileSpecDict) {
+    const content = await this._ensureData(() => {
+      return new FileSpec(fileSpecDict, this.xref).content;
+    });
+    if (!content) {
+      throw new FormatError('Embedded file has no content.');
+    }
+    const header = bytesToString(content.subarray(0, 1024));
+    if (!header.includes('%PDF-')) {
+      throw new FormatError('Embedded file is not a PDF document.');
+    }
+
+    // All data is available, hence no ranges are ever requested.
+    const pdfManager = {
+      docBaseUrl: this.pdfManager.docBaseUrl,
+      password: '',
+      requestRange() {
+        return Promise.resolve();
+      },
+    };
+    // Copy the data, since `content` may be a view of the data of this
+    // document, whereas sub-streams are created using the underlying buffer.
+    const xref = new XRef(new Stream(new Uint8Array(content)), pdfManager);
+    xref.setStartXRef(findStartXRef(content));
+    try {
+      xref.parse();
+    } catch (ex) {
+      if (!(ex instanceof XRefParseException)) {
+        throw ex;
+      }
+      xref.parse(/* recoveryMode = */ true);
+    }
+    const catalog = new Catalog(pdfManager, xref);
+    catalog.linkPolicy = this.linkPolicy;
+    catalog._parentCatalog = this;
+    return catalog;
+  }
+
+  /**
+   * Resolves the target of an embedded go-to action, see the specification
+   * (12.6.4.4), by opening the (possibly nested) embedded documents that it
+   * refers to.
+   * @param {Dict|Object} action - The action dictionary, or the result of
+   *   `Catalog.parseAction`, e.g. the `goToE` property set by
+   *   `Catalog.parseDestDictionary`.
+   * @returns {Promise<Object>} An object with the `catalog` of the target
+   *   document, and the destination (`dest`) in that document, both as-is and
+   *   resolved (`resolvedDest`), see `createDestinationResolver`.
+   */
+  async resolveEmbeddedGoTo(action) {
+    if (isDict(action)) {
+      action = Catalog.parseAction(action);
+    }
+    if (!action || action.type !== 'GoToE') {
+      throw new Error('Catalog.resolveEmbeddedGoTo - not a GoToE action.');
+    }
+    if (action.file) {
+      throw new Error(
+        'Catalog.resolveEmbeddedGoTo - targets in other files are not ' +
+        'supported.');
+    }
+
+    let catalog = this;
+    for (let target = action.target; target; target = target.target) {
+      if (target.relationship === 'P') {
+        catalog = catalog._parentCatalog;
+        if (!catalog) {
+          throw new FormatError('The target has no parent document.');
+        }
+      } else if (target.relationship === 'C') {
+        if (target.page !== null && target.annotation !== null) {
+          catalog = await catalog.openAnnotationDocument(target.page,
+                                                         target.annotation);
+        } else if (target.name !== null) {
+          catalog = await catalog.openEmbeddedDocument(target.name);
+        } else {
+          throw new FormatError('Invalid child document target.');
+        }
+      } else {
+        throw new FormatError('Invalid target dictionary relationship.');
+      }
+    }
+    const dest = action.dest;
+    return {
+      catalog,
+      dest,
+      resolvedDest: (dest ? catalog.createDestinationResolver()(dest) : null),
+    };
+  }
+
+  /**
+   * Parses an action dictionary, see the specification (12.6.4), into a plain
+   * object with a `type` property, i.e. the name of the action type, and the
+   * properties that are specific to that type. Entries that refer to other
+   * objects, e.g. annotations or sounds, are kept as references.
+   * @param {Dict} action
+   * @param {LinkPolicy} [linkPolicy] - The policy that is applied to the URLs
+   *   of the action, see `LinkPolicy.applyToAction`.
+   * @param {string} [docBaseUrl] - The document base URL, which is used to
+   *   resolve relative URLs when a link policy is specified.
+   * @returns {Object|null} The action, or `null` if it has no valid type.
+   */
+  static parseAction(action, linkPolicy = null, docBaseUrl = null) {
+    const parsedAction = Catalog._parseAction(action);
+    if (!parsedAction || !linkPolicy) {
+      return parsedAction;
+    }
+    // URIs may be relative to the /Base entry of the /URI dictionary in the
+    // catalog (12.6.4.7), which takes precedence over `docBaseUrl`.
+    let uriBase = getDocumentUriBase(action.xref);
+    if (uriBase) {
+      uriBase = tryConvertUrlEncoding(uriBase);
+    }
+    return linkPolicy.applyToAction(parsedAction, [uriBase, docBaseUrl]);
+  }
+
+  /**
+   * @private
+   */
+  static _parseAction(action) {
+    const actionType = action.get('S');
+    if (!isName(actionType)) {
+      return null;
+    }
+    const type = actionType.name;
+    const newWindow = action.get('NewWindow');
+    const flags = action.get('Flags');
+
+    switch (type) {
+      case 'GoTo':
+        return { type, dest: parseActionDestination(action.get('D')), };
+      case 'GoToR':
+      case 'GoToE':
+        const result = {
+          type,
+          file: parseActionFileName(action.get('F')),
+          dest: parseActionDestination(action.get('D')),
+          newWindow: (isBool(newWindow) ? newWindow : null),
+        };
+        if (type === 'GoToE') {
+          result.target = parseEmbeddedTarget(action);
+        }
+        return result;
+      case 'Launch':
+        const win = action.get('Win');
+        let windowsParams = null;
+        if (isDict(win)) {
+          const [file, directory, operation, parameters] =
+            ['F', 'D', 'O', 'P'].map((key) => {
+              const value = win.get(key);
+              return (isString(value) ? stringToPDFString(value) : null);
+            });
+          windowsParams = { file, directory, operation, parameters, };
+        }
+        return {
+          type,
+          file: parseActionFileName(action.get('F')),
+          newWindow: (isBool(newWindow) ? newWindow : null),
+          win: windowsParams,
+        };
+      case 'Thread':
+        const thread = action.getRaw('D'), bead = action.getRaw('B');
+        return {
+          type,
+          file: parseActionFileName(action.get('F')),
+          thread: (isString(thread) ? stringToPDFString(thread) :
+                   isRef(thread) || Number.isInteger(thread) ? thread : null),
+          bead: (isRef(bead) || Number.isInteger(bead) ? bead : null),
+        };
+      case 'URI':
+        let uri = action.get('URI');
+        if (isName(uri)) {
+          uri = '/' + uri.name;
+        }
+        return {
+          type,
+          uri: (isString(uri) ? uri : null),
+          isMap: getBoolean(action, 'IsMap', false),
+        };
+      case 'Sound':
+        const volume = action.get('Volume');
+        return {
+          type,
+          sound: action.getRaw('Sound') || null,
+          volume: (typeof volume === 'number' ? volume : 1),
+          synchronous: getBoolean(action, 'Synchronous', false),
+          repeat: getBoolean(action, 'Repeat', false),
+          mix: getBoolean(action, 'Mix', false),
+        };
+      case 'Movie':
+        const title = action.get('T'), movieOperation = action.get('Operation');
+        return {
+          type,
+          annotation: action.getRaw('Annotation') || null,
+          title: (isString(title) ? stringToPDFString(title) : null),
+          operation: (isName(movieOperation) ? movieOperation.name : 'Play'),
+        };
+      case 'Hide':
+        return {
+          type,
+          targets: toArray(action.getRaw('T')).map((target) => {
+            return (isString(target) ? stringToPDFString(target) : target);
+          }),
+          hide: getBoolean(action, 'H', true),
+        };
+      case 'Named':
+        const name = action.get('N');
+        return { type, name: (isName(name) ? name.name : null), };
+      case 'SubmitForm':
+      case 'ResetForm':
+        const formAction = {
+          type,
+          fields: toArray(action.getRaw('Fields')).map((field) => {
+            return (isString(field) ? stringToPDFString(field) : field);
+          }),
+          flags: (Number.isInteger(flags) ? flags : 0),
+        };
+        if (type === 'SubmitForm') {
+          formAction.url = parseActionFileName(action.get('F'));
+        }
+        return formAction;
+      case 'ImportData':
+        return { type, file: parseActionFileName(action.get('F')), };
+      case 'JavaScript':
+        return { type, script: parseActionScript(action.get('JS')), };
+      case 'SetOCGState':
+        const state = [];
+        for (const item of toArray(action.get('State'))) {
+          if (isName(item)) {
+            state.push({ operation: item.name, groups: [], });
+          } else if (isRef(item) && state.length > 0) {
+            state[state.length - 1].groups.push(item);
+          }
+        }
+        return {
+          type,
+          state,
+          preserveRB: getBoolean(action, 'PreserveRB', true),
+        };
+      case 'Rendition':
+        const renditionOperation = action.get('OP');
+        return {
+          type,
+          operation: (Number.isInteger(renditionOperation) ?
+                      renditionOperation : null),
+          annotation: action.getRaw('AN') || null,
+          rendition: action.getRaw('R') || null,
+          script: parseActionScript(action.get('JS')),
+        };
+      case 'Trans':
+        const trans = action.get('Trans');
+        let style = null, duration = null;
+        if (isDict(trans)) {
+          style = trans.get('S');
+          duration = trans.get('D');
+        }
+        return {
+          type,
+          style: (isName(style) ? style.name : 'R'),
+          duration: (typeof duration === 'number' ? duration : 1),
+        };
+      case 'GoTo3DView':
+        const view = action.getRaw('V');
+        return {
+          type,
+          annotation: action.getRaw('TA') || null,
+          view: (isName(view) ? view.name :
+                 isString(view) ? stringToPDFString(view) :
+                 view === undefined ? null : view),
+        };
+    }
+    return { type, };
+  }
+
+  /**
+   * @typedef ParseDestDictionaryParameters
+   * @property {Dict} destDict - The dictionary containing the destination.
+   * @property {Object} resultObj - The object where the parsed destination
+   *   properties will be placed.
+   * @property {string} docBaseUrl - (optional) The document base URL that is
+   *   used when attempting to recover valid absolute URLs from relative ones.
+   * @property {LinkPolicy} linkPolicy - (optional) The policy deciding which
+   *   URLs are allowed, see `LinkPolicy`.
+   */
+
+  /**
+   * Helper function used to parse the contents of destination dictionaries.
+   * @param {ParseDestDictionaryParameters} params
+   */
+  static parseDestDictionary(params) {
+    const destDict = params.destDict;
+    if (!isDict(destDict)) {
+      reportDiagnostic(null, {
+        code: DiagnosticCode.DEST_DICT_INVALID,
+        message: 'parseDestDictionary: `destDict` must be a dictionary.',
+      });
+      return;
+    }
+    const resultObj = params.resultObj;
+    if (typeof resultObj !== 'object') {
+      reportDiagnostic(destDict.xref, {
+        code: DiagnosticCode.DEST_DICT_INVALID,
+        message: 'parseDestDictionary: `resultObj` must be an object.',
+      });
+      return;
+    }
+    const docBaseUrl = params.docBaseUrl || null;
+    const linkPolicy = params.linkPolicy || null;
+
+    let action = destDict.get('A'), url, dest, uriBase = null;
+    if (!isDict(action) && destDict.has('Dest')) {
+      // A /Dest entry should *only* contain a Name or an Array, but some bad
+      // PDF generators ignore that and treat it as an /A entry.
+      action = destDict.get('Dest');
+    }
+
+    if (isDict(action)) {
+      // Provide the entire sequence of actions, including the /Next actions,
+      // in the order in which they should be performed.
+      resultObj.actions = getActionSequence(action).map((sequenceAction) => {
+        return Catalog.parseAction(sequenceAction, linkPolicy, docBaseUrl);
+      }).filter((parsedAction) => parsedAction !== null);
+
+      const actionType = action.get('S');
+      if (!isName(actionType)) {
+        reportDiagnostic(destDict.xref, {
+          code: DiagnosticCode.ACTION_TYPE_INVALID,
+          message: 'parseDestDictionary: Invalid type in Action dictionary.',
+          ref: isRef(destDict.getRaw('A')) ? destDict.getRaw('A') : null,
+          category: DiagnosticCategory.SKIPPED,
+        });
+        return;
+      }
+      const actionName = actionType.name;
+
+      switch (actionName) {
+        case 'URI':
+          url = action.get('URI');
+          if (isName(url)) {
+            // Some bad PDFs do not put parentheses around relative URLs.
+            url = '/' + url.name;
+          } else if (isString(url) &&
+                     (!linkPolicy || linkPolicy.addDefaultProtocol)) {
+            url = addDefaultProtocolToUrl(url);
+          }
+          // URIs may be relative to the /Base entry of the /URI dictionary in
+          // the catalog (12.6.4.7), which takes precedence over `docBaseUrl`.
+          uriBase = getDocumentUriBase(destDict.xref);
+          if (uriBase) {
+            uriBase = tryConvertUrlEncoding(uriBase);
+          }
+          break;
+
+        case 'GoTo':
+          dest = action.get('D');
+          break;
+
+        case 'Launch':
+          // We neither want, nor can, support arbitrary 'Launch' actions.
+          // However, in practice they are mostly used for linking to other PDF
+          // files, which we thus attempt to support (utilizing `docBaseUrl`).
+          /* falls through */
+
+        case 'GoToR':
+          const urlDict = action.get('F');
+          if (isDict(urlDict)) {
+            // We assume that we found a FileSpec dictionary
+            // and fetch the URL without checking any further.
+            url = urlDict.get('F') || null;
+          } else if (isString(urlDict)) {
+            url = urlDict;
+          }
+
+          // NOTE: the destination is relative to the *remote* document.
+          let remoteDest = action.get('D');
+          if (remoteDest) {
+            if (isName(remoteDest)) {
+              remoteDest = remoteDest.name;
+            }
+            if (isString(url)) {
+              const baseUrl = url.split('#')[0];
+              if (isString(remoteDest)) {
+                url = baseUrl + '#' + remoteDest;
+              } else if (Array.isArray(remoteDest)) {
+                url = baseUrl + '#' + JSON.stringify(remoteDest);
+              }
+            }
+          }
+          // The 'NewWindow' property, equal to `LinkTarget.BLANK`.
+          const newWindow = action.get('NewWindow');
+          if (isBool(newWindow)) {
+            resultObj.newWindow = newWindow;
+          }
+          break;
+
+        case 'SubmitForm':
+        case 'ResetForm':
+        case 'ImportData':
+        case 'Hide':
+        case 'SetOCGState':
+        case 'GoToE':
+        case 'Thread':
+        case 'Sound':
+        case 'Movie':
+        case 'Rendition':
+        case 'Trans':
+        case 'GoTo3DView':
+          // These actions cannot be represented by a URL or destination, hence
+          // their parameters are provided using a property named after the
+          // action type, e.g. `resultObj.submitForm` for 'SubmitForm' actions;
+          // see `Catalog.parseAction`.
+          const actionKey = actionName.charAt(0).toLowerCase() +
+                            actionName.slice(1);
+          resultObj[actionKey] = Catalog.parseAction(action, linkPolicy,
+                                                     docBaseUrl);
+          break;
+
+        case 'Named':
+          const namedAction = action.get('N');
+          if (isName(namedAction)) {
+            resultObj.action = namedAction.name;
+          }
+          break;
+
+        case 'JavaScript':
+          const jsAction = action.get('JS');
+          let js;
+
+          if (isStream(jsAction)) {
+            js = bytesToString(jsAction.getBytes());
+          } else if (isString(jsAction)) {
+            js = jsAction;
+          }
+
+          const jsUrl = (js ? recoverJavaScriptUrl(stringToPDFString(js),
+                                                   linkPolicy) : null);
+          if (jsUrl) {
+            url = jsUrl.url;
+
+            if (jsUrl.newWindow) {
+              resultObj.newWindow = true;
+            }
+            break;
+          }
+          /* falls through */
+        default:
+          reportDiagnostic(destDict.xref, {
+            code: DiagnosticCode.ACTION_TYPE_UNSUPPORTED,
+            message:
+              `parseDestDictionary: unsupported action type "${actionName}".`,
+            category: DiagnosticCategory.SKIPPED,
+          });
+          break;
+      }
+    } else if (destDict.has('Dest')) { // Simple destination.
+      dest = destDict.get('Dest');
+    }
+
+    if (isString(url) && linkPolicy) {
+      url = tryConvertUrlEncoding(url);
+      const decision = linkPolicy.evaluate(url, [uriBase, docBaseUrl]);
+      if (decision.allowed) {
+        resultObj.url = decision.url;
+        resultObj.baseUrl = decision.baseUrl;
+      }
+      resultObj.unsafeUrl = url;
+      resultObj.linkDecision = {
+        allowed: decision.allowed,
+        reason: decision.reason,
+      };
+    } else if (isString(url)) {
+      url = tryConvertUrlEncoding(url);
+      const isRelativeUrl = !createValidAbsoluteUrl(url);
+      for (const baseUrl of [uriBase, docBaseUrl]) {
+        const absoluteUrl = createValidAbsoluteUrl(url, baseUrl);
+        if (absoluteUrl) {
+          resultObj.url = absoluteUrl.href;
+          // Report the base URL that was used to resolve a relative URL.
+          resultObj.baseUrl = (isRelativeUrl ? baseUrl : null);
+          break;
+        }
+      }
+      resultObj.unsafeUrl = url;
+    }
+    if (dest) {
+      if (isName(dest)) {
+        dest = dest.name;
+      }
+      if (isString(dest) || Array.isArray(dest)) {
+        resultObj.dest = dest;
+      }
+    }
+  }
+}
+
+/**
+ * An editable model of the document outline. All changes are kept in memory,
+ * until `save` writes them to the `XRef` of the document; the outline items
+ * are then re-linked, and their /Count entries re-computed, from scratch.
+ *
+ * The items are plain objects, which must only be modified using the methods
+ * of the editor:
+ *  - `id`, a number identifying the item.
+ *  - `title`, a string.
+ *  - `color`, an array of three RGB components in the [0, 1] range.
+ *  - `bold` and `italic`, booleans.
+ *  - `dest`, a named (string) or an explicit (array) destination, or `null`
+ *    for items that have no destination, or that use an action instead.
+ *  - `open`, a boolean indicating if the children are initially visible.
+ *  - `items`, an array of child items.
+ */
+class OutlineEditor {
+  constructor(catalog) {
+    this.catalog = catalog;
+    this.items = [];
+
+    this._nextId = 1;
+    this._nodes = new Map(); // Maps ids to items.
+    this._parents = new Map(); // Maps ids to parent items (or `null`).
+    this._sources = new Map(); // Maps ids to the original objects.
+    this._removedRefs = [];
+    this._load();
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    const xref = this.catalog.xref;
+    const outlines = this.catalog.catDict.get('Outlines');
+    if (!isDict(outlines)) {
+      return;
+    }
+    let obj = outlines.getRaw('First');
+    if (!isRef(obj)) {
+      return;
+    }
+
+    const queue = [{ obj, parent: null, }];
+    // To avoid recursion, keep track of the already processed items.
+    const processed = new RefSet();
+    processed.put(obj);
+
+    while (queue.length > 0) {
+      const i = queue.shift();
+      const outlineDict = xref.fetchIfRef(i.obj);
+      if (outlineDict === null) {
+        continue;
+      }
+      if (!isDict(outlineDict) || !outlineDict.has('Title')) {
+        throw new FormatError('Invalid outline item encountered.');
+      }
+      const color = outlineDict.getArray('C');
+      const flags = outlineDict.get('F');
+      const count = outlineDict.get('Count');
+      let dest = outlineDict.get('Dest');
+      if (isName(dest)) {
+        dest = dest.name;
+      }
+
+      const item = this._createItem({
+        title: stringToPDFString(outlineDict.get('Title')),
+        color: (isOutlineColor(color) ? color : null),
+        bold: !!(flags & 2),
+        italic: !!(flags & 1),
+        dest: (isString(dest) || Array.isArray(dest) ? dest : null),
+        open: (Number.isInteger(count) && count > 0),
+      });
+      this._sources.set(item.id, {
+        ref: i.obj,
+        dict: outlineDict,
+        destChanged: false,
+      });
+      this._parents.set(item.id, i.parent);
+      (i.parent ? i.parent.items : this.items).push(item);
+
+      obj = outlineDict.getRaw('First');
+      if (isRef(obj) && !processed.has(obj)) {
+        queue.push({ obj, parent: item, });
+        processed.put(obj);
+      }
+      obj = outlineDict.getRaw('Next');
+      if (isRef(obj) && !processed.has(obj)) {
+        queue.push({ obj, parent: i.parent, });
+        processed.put(obj);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createItem({ title, color = null, bold = false, italic = false,
+                dest = null, open = false, }) {
+    const item = {
+      id: this._nextId++,
+      title,
+      color: (color ? color.slice() : [0, 0, 0]),
+      bold: !!bold,
+      italic: !!italic,
+      dest,
+      open: !!open,
+      items: [],
+    };
+    this._nodes.set(item.id, item);
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _getItem(id, caller) {
+    const item = this._nodes.get(id);
+    if (!item) {
+      throw new Error(`OutlineEditor.${caller} - unknown item: ${id}.`);
+    }
+    return item;
+  }
+
+  /**
+   * @private
+   */
+  _getSiblings(parentId, caller) {
+    return (parentId === null ? this.items :
+                                this._getItem(parentId, caller).items);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null} The item, or `null` if it doesn't exist.
+   */
+  getItem(id) {
+    return this._nodes.get(id) || null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {number|null} The id of the parent item, or `null` for top-level
+   *   items.
+   */
+  getParentId(id) {
+    const parent = this._parents.get(this._getItem(id, 'getParentId').id);
+    return (parent ? parent.id : null);
+  }
+
+  /**
+   * Inserts a new item.
+   * @param {Object} properties - The `title`, and optionally the `color`,
+   *   `bold`, `italic`, `dest` and `open` properties of the item.
+   * @param {number|null} [parentId] - The parent item, or `null` to insert a
+   *   top-level item.
+   * @param {number} [index] - The position among its siblings, by default the
+   *   item is appended.
+   * @returns {number} The id of the new item.
+   */
+  insertItem(properties, parentId = null, index = undefined) {
+    const siblings = this._getSiblings(parentId, 'insertItem');
+    if (index === undefined) {
+      index = siblings.length;
+    }
+    if (!Number.isInteger(index) || index < 0 || index > siblings.length) {
+      throw new Error(`OutlineEditor.insertItem - invalid index: ${index}.`);
+    }
+    validateOutlineTitle(properties.title, 'insertItem');
+    validateOutlineColor(properties.color, 'insertItem');
+    validateOutlineDest(properties.dest, 'insertItem');
+
+    const item = this._createItem(properties);
+    this._parents.set(item.id, parentId === null ? null :
+                                                   this._nodes.get(parentId));
+    siblings.splice(index, 0, item);
+    return item.id;
+  }
+
+  /**
+   * Deletes an item, including all of its descendants.
+   * @param {number} id
+   */
+  deleteItem(id) {
+    const item = this._getItem(id, 'deleteItem');
+    const siblings = this._getSiblings(this.getParentId(id), 'deleteItem');
+    siblings.splice(siblings.indexOf(item), 1);
+
+    const queue = [item];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const source = this._sources.get(node.id);
+      if (source) {
+        this._removedRefs.push(source.ref);
+      }
+      this._nodes.delete(node.id);
+      this._parents.delete(node.id);
+      this._sources.delete(node.id);
+      queue.push(...node.items);
+    }
+  }
+
+  /**
+   * Moves an item, including all of its descendants.
+   * @param {number} id
+   * @param {number|null} parentId - The new parent item, or `null` to move the
+   *   item to the top-level.
+   * @param {number} [index] - The position among its new siblings, by default
+   *   the item is appended.
+   */
+  moveItem(id, parentId, index = undefined) {
+    const item = this._getItem(id, 'moveItem');
+    for (let ancestorId = parentId; ancestorId !== null;
+         ancestorId = this.getParentId(ancestorId)) {
+      if (ancestorId === id) {
+        throw new Error(
+          'OutlineEditor.moveItem - cannot move an item into itself.');
+      }
+    }
+    const oldSiblings = this._getSiblings(this.getParentId(id), 'moveItem');
+    const newSiblings = this._getSiblings(parentId, 'moveItem');
+    const oldIndex = oldSiblings.indexOf(item);
+    oldSiblings.splice(oldIndex, 1);
+
+    if (index === undefined) {
+      index = newSiblings.length;
+    }
+    if (!Number.isInteger(index) || index < 0 || index > newSiblings.length) {
+      oldSiblings.splice(oldIndex, 0, item);
+      throw new Error(`OutlineEditor.moveItem - invalid index: ${index}.`);
+    }
+    newSiblings.splice(index, 0, item);
+    this._parents.set(id, parentId === null ? null :
+                                              this._nodes.get(parentId));
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} title
+   */
+  renameItem(id, title) {
+    const item = this._getItem(id, 'renameItem');
+    validateOutlineTitle(title, 'renameItem');
+    item.title = title;
+  }
+
+  /**
+   * @param {number} id
+   * @param {Array|null} color - An array of three RGB components in the
+   *   [0, 1] range, or `null` to use the default (black) color.
+   */
+  setColor(id, color) {
+    const item = this._getItem(id, 'setColor');
+    validateOutlineColor(color, 'setColor');
+    item.color = (color ? color.slice() : [0, 0, 0]);
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} flags - An object with optional `bold` and `italic`
+   *   properties.
+   */
+  setFlags(id, { bold, italic, }) {
+    const item = this._getItem(id, 'setFlags');
+    if (bold !== undefined) {
+      item.bold = !!bold;
+    }
+    if (italic !== undefined) {
+      item.italic = !!italic;
+    }
+  }
+
+  /**
+   * Sets the destination of an item, which replaces any existing action.
+   * @param {number} id
+   * @param {string|Array|null} dest - A named destination, an explicit
+   *   destination (e.g. `[pageRef, Name.get('Fit')]`), or `null` to remove the
+   *   destination.
+   */
+  setDestination(id, dest) {
+    const item = this._getItem(id, 'setDestination');
+    validateOutlineDest(dest, 'setDestination');
+    item.dest = dest;
+    const source = this._sources.get(id);
+    if (source) {
+      source.destChanged = true;
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @param {boolean} open - Whether the children of the item are initially
+   *   visible.
+   */
+  setOpen(id, open) {
+    this._getItem(id, 'setOpen').open = !!open;
+  }
+
+  /**
+   * Writes the outline to the `XRef` of the document, such that it's included
+   * when the document is saved.
+   */
+  save() {
+    const catalog = this.catalog, xref = catalog.xref;
+    let outlinesRef = catalog.catDict.getRaw('Outlines');
+    const outlines = xref.fetchIfRef(outlinesRef);
+    const refs = new Map();
+    for (const [id, item] of this._nodes) {
+      const source = this._sources.get(id);
+      refs.set(item, source ? source.ref : xref.getNewRef());
+    }
+    if (!isRef(outlinesRef)) {
+      outlinesRef = xref.getNewRef();
+      catalog._setCatalogEntry('Outlines', outlinesRef);
+    }
+    const sources = new Map();
+    const queue = [{ parentRef: outlinesRef, items: this.items, }];
+
+    while (queue.length > 0) {
+      const { parentRef, items, } = queue.shift();
+
+      for (let i = 0, ii = items.length; i < ii; i++) {
+        const item = items[i], ref = refs.get(item);
+        const source = this._sources.get(item.id);
+        const count = countVisibleOutlineItems(item.items);
+        const isBlack = item.color.every((component) => component === 0);
+        const flags = (item.bold ? 2 : 0) | (item.italic ? 1 : 0);
+        const entries = Object.assign({
+          Title: item.title,
+          Parent: parentRef,
+          Prev: (i > 0 ? refs.get(items[i - 1]) : undefined),
+          Next: (i < ii - 1 ? refs.get(items[i + 1]) : undefined),
+          Count: (count > 0 ? (item.open ? count : -count) : undefined),
+          C: (isBlack ? undefined : item.color.slice()),
+          F: (flags || undefined),
+        }, getOutlineLinks(item.items, refs));
+        if (!source || source.destChanged) {
+          entries.Dest = item.dest || undefined;
+          entries.A = undefined;
+        }
+        const dict = updateDict(source ? source.dict : new Dict(xref), entries,
+                                xref);
+
+        sources.set(item.id, { ref, dict, destChanged: false, });
+        queue.push({ parentRef: ref, items: item.items, });
+        xref.putObject(ref, dict);
+      }
+    }
+    const count = countVisibleOutlineItems(this.items);
+    const outlinesEntries = Object.assign({
+      Type: Name.get('Outlines'),
+      Count: (count || undefined),
+    }, getOutlineLinks(this.items, refs));
+    const outlinesDict = updateDict(isDict(outlines) ? outlines :
+                                                       new Dict(xref),
+                                    outlinesEntries, xref);
+    xref.putObject(outlinesRef, outlinesDict);
+
+    for (const ref of this._removedRefs) {
+      xref.removeObject(ref);
+    }
+    this._removedRefs = [];
+    this._sources = sources;
+    // Ensure that the `documentOutline` getter reflects the changes.
+    delete catalog.documentOutline;
+  }
+}
+
+function isOutlineColor(color) {
+  return Array.isArray(color) && color.length === 3 &&
+    color.every((component) => typeof component === 'number' &&
+                               component >= 0 && component <= 1);
+}
+
+function validateOutlineTitle(title, caller) {
+  if (typeof title !== 'string') {
+    throw new Error(`OutlineEditor.${caller} - the title must be a string.`);
+  }
+}
+
+function validateOutlineColor(color, caller) {
+  if (color !== undefined && color !== null && !isOutlineColor(color)) {
+    throw new Error(`OutlineEditor.${caller} - invalid color: ${color}.`);
+  }
+}
+
+function validateOutlineDest(dest, caller) {
+  if (dest === undefined || dest === null || isString(dest)) {
+    return;
+  }
+  if (!Array.isArray(dest) || !isRef(dest[0]) || !isName(dest[1])) {
+    throw new Error(`OutlineEditor.${caller} - invalid destination.`);
+  }
+}
+
+/**
+ * Returns the /First and /Last entries of a parent with the given children.
+ */
+function getOutlineLinks(items, refs) {
+  return {
+    First: (items.length > 0 ? refs.get(items[0]) : undefined),
+    Last: (items.length > 0 ? refs.get(items[items.length - 1]) : undefined),
+  };
+}
+
+/**
+ * Returns the number of visible descendants, as the /Count entries require,
+ * of a parent (with the given children) whose children are visible.
+ */
+function countVisibleOutlineItems(items) {
+  let count = 0;
+  for (const item of items) {
+    count += 1 + (item.open ? countVisibleOutlineItems(item.items) : 0);
+  }
+  return count;
+}
+
+/**
+ * A growable byte buffer, used when serializing objects back into PDF data.
+ */
+class OutputBuffer {
+  constructor() {
+    this._chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * @param {string|Uint8Array} data - Either a binary string, where every
+   *   character is a byte, or an array of bytes.
+   */
+  write(data) {
+    this._chunks.push(data);
+    this.length += data.length;
+  }
+
+  getBytes() {
+    return arraysToBytes(this._chunks);
+  }
+}
+
+function getStreamByteRange(stream, begin, end) {
+  if (typeof stream.getByteRange === 'function') { // ChunkedStream.
+    return stream.getByteRange(begin, end);
+  }
+  return stream.bytes.subarray(begin, end);
+}
+
+/**
+ * Finds the stream containing the *encoded* data of a stream object, by
+ * unwrapping the decoding streams until reaching the underlying file data.
+ * Returns `null` when that's not possible, e.g. for encrypted streams.
+ */
+function getBaseStream(stream) {
+  let baseStream = stream;
+  while (baseStream && !baseStream.bytes) {
+    if (baseStream.decrypt) { // A `DecryptStream`, see `CipherTransform`.
+      return null;
+    }
+    baseStream = baseStream.str || baseStream.stream;
+  }
+  return baseStream || null;
+}
+
+/**
+ * Returns the data of a stream object, as it should be written to a file.
+ * Whenever possible this is the encoded data, see `getBaseStream`. Otherwise
+ * the decoded data is returned instead and the caller must remove the
+ * /Filter and /DecodeParms entries from the stream dictionary.
+ */
+function getStreamData(stream) {
+  const baseStream = getBaseStream(stream);
+  if (baseStream) {
+    return {
+      bytes: getStreamByteRange(baseStream, baseStream.start, baseStream.end),
+      encoded: true,
+    };
+  }
+  stream.reset();
+  return { bytes: stream.getBytes(), encoded: false, };
+}
+
+/**
+ * Wraps a stream, containing the data returned by `getStreamData`, such that
+ * reading it returns the decoded data (like for streams parsed from a file,
+ * see `Parser.makeStream`), while the encoded data can still be written.
+ */
+function makeDecodingStream(stream, xref) {
+  const parser = new Parser({
+    lexer: new Lexer(new Stream(new Uint8Array(0))),
+    xref,
+  });
+  const dict = stream.dict;
+  const decodingStream = parser.filter(stream, dict, dict.get('Length'));
+  decodingStream.dict = dict;
+  return decodingStream;
+}
+
+function numberToString(value) {
+  if (Number.isInteger(value)) {
+    return value.toString();
+  }
+  // Avoid exponential notation, and needless trailing zeros, since neither
+  // is valid respectively useful in PDF files.
+  const str = value.toFixed(6).replace(/\.?0+$/, '');
+  return (str === '-0' ? '0' : str);
+}
+
+function stringToLiteralString(str) {
+  if (/[^\x00-\xFF]/.test(str)) {
+    // Strings containing non-Latin1 characters are written as UTF-16BE.
+    const buf = ['\xFE\xFF'];
+    for (let i = 0, ii = str.length; i < ii; i++) {
+      const charCode = str.charCodeAt(i);
+      buf.push(String.fromCharCode((charCode >> 8) & 0xFF),
+               String.fromCharCode(charCode & 0xFF));
+    }
+    str = buf.join('');
+  }
+  const buf = ['('];
+  for (let i = 0, ii = str.length; i < ii; i++) {
+    const ch = str[i], charCode = str.charCodeAt(i);
+    switch (ch) {
+      case '(':
+      case ')':
+      case '\\':
+        buf.push('\\', ch);
+        break;
+      case '\n':
+        buf.push('\\n');
+        break;
+      case '\r':
+        buf.push('\\r');
+        break;
+      default:
+        if (charCode < 0x20 || charCode > 0x7E) {
+          buf.push('\\', charCode.toString(8).padStart(3, '0'));
+        } else {
+          buf.push(ch);
+        }
+    }
+  }
+  buf.push(')');
+  return buf.join('');
+}
+
+function nameToString(name) {
+  const buf = ['/'];
+  for (let i = 0, ii = name.length; i < ii; i++) {
+    const charCode = name.charCodeAt(i);
+    // Escape whitespace, delimiters, the number sign and non-ASCII characters,
+    // see the specification (7.3.5).
+    if (charCode < 0x21 || charCode > 0x7E || '#()<>[]{}/%'.includes(name[i])) {
+      buf.push('#', (charCode & 0xFF).toString(16).padStart(2, '0'));
+    } else {
+      buf.push(name[i]);
+    }
+  }
+  return buf.join('');
+}
+
+/**
+ * Serializes a (direct) object into a binary string.
+ */
+function serializeValue(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') {
+    return (typeof value === 'number' ? numberToString(value) :
+                                        value.toString());
+  }
+  if (isString(value)) {
+    return stringToLiteralString(value);
+  }
+  if (isName(value)) {
+    return nameToString(value.name);
+  }
+  if (isRef(value)) {
+    return `${value.num} ${value.gen} R`;
+  }
+  if (value instanceof Cmd) {
+    return value.cmd;
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(serializeValue).join(' ') + ']';
+  }
+  if (isDict(value)) {
+    const buf = ['<<'];
+    for (const key of value.getKeys()) {
+      const rawValue = value.getRaw(key);
+      if (rawValue === undefined) {
+        continue;
+      }
+      buf.push(nameToString(key), ' ', serializeValue(rawValue), '\n');
+    }
+    buf.push('>>');
+    return buf.join('');
+  }
+  if (isStream(value)) {
+    throw new FormatError('Streams must be written as indirect objects.');
+  }
+  throw new FormatError(`Unable to serialize object: "${value}".`);
+}
+
+/**
+ * Returns a copy of the dictionary with the given entries replaced, where
+ * entries whose value is `undefined` are removed.
+ * NOTE: `Dict.set(key, undefined)` doesn't remove the key, which is still
+ * returned by `Dict.has` and `Dict.getKeys` (and copied by `cloneDict`).
+ */
+function updateDict(dict, entries, xref = dict.xref) {
+  const updatedDict = new Dict(xref);
+  for (const key of dict.getKeys()) {
+    const value = (key in entries ? entries[key] : dict.getRaw(key));
+    if (value !== undefined) {
+      updatedDict.set(key, value);
+    }
+  }
+  for (const key in entries) {
+    if (entries[key] !== undefined && !dict.has(key)) {
+      updatedDict.set(key, entries[key]);
+    }
+  }
+  return updatedDict;
+}
+
+// The entries of a stream dictionary that describe its encoding, which are
+// removed (using `updateDict`) when writing the decoded data.
+const STREAM_ENCODING_ENTRIES = {
+  Filter: undefined,
+  F: undefined,
+  DecodeParms: undefined,
+  DP: undefined,
+  DL: undefined,
+};
+
+function cloneDict(dict, xref = dict.xref) {
+  const clonedDict = new Dict(xref);
+  for (const key of dict.getKeys()) {
+    clonedDict.set(key, dict.getRaw(key));
+  }
+  return clonedDict;
+}
+
+function writeIndirectObject(buffer, ref, obj) {
+  buffer.write(`${ref.num} ${ref.gen} obj\n`);
+  if (isStream(obj)) {
+    const { bytes, encoded, } = getStreamData(obj);
+    const dict = updateDict(obj.dict, encoded ? {} : STREAM_ENCODING_ENTRIES);
+    dict.set('Length', bytes.length);
+
+    buffer.write(serializeValue(dict));
+    buffer.write('\nstream\r\n');
+    buffer.write(bytes);
+    buffer.write('\r\nendstream');
+  } else {
+    buffer.write(serializeValue(obj));
+  }
+  buffer.write('\nendobj\n');
+}
+
+/**
+ * Links the free entries, as the specification requires (7.5.4), such that
+ * every free entry contains the object number of the next free entry.
+ * @param {Map} entries - A map from object numbers to `{ offset, gen, free }`
+ *   objects, which must contain the head of the list (object 0).
+ */
+function linkFreeEntries(entries) {
+  const freeNums = [];
+  for (const [num, entry] of entries) {
+    if (entry.free) {
+      freeNums.push(num);
+    }
+  }
+  freeNums.sort((a, b) => a - b);
+  for (let i = 0, ii = freeNums.length; i < ii; i++) {
+    entries.get(freeNums[i]).offset = freeNums[i + 1] || 0;
+  }
+}
+
+/**
+ * Writes a classic cross-reference table, followed by the trailer.
+ * @param {OutputBuffer} buffer
+ * @param {Map} entries - A map from object numbers to `{ offset, gen, free }`
+ *   objects, which must include the entries for all subsections.
+ * @param {Dict} trailerDict
+ */
+function writeXRefTable(buffer, entries, trailerDict) {
+  const startXRef = buffer.length;
+  buffer.write('xref\n');
+
+  const nums = Array.from(entries.keys()).sort((a, b) => a - b);
+  for (let i = 0, ii = nums.length; i < ii;) {
+    let j = i + 1;
+    while (j < ii && nums[j] === nums[j - 1] + 1) {
+      j++;
+    }
+    buffer.write(`${nums[i]} ${j - i}\n`);
+    for (; i < j; i++) {
+      const { offset, gen, free, } = entries.get(nums[i]);
+      const offsetStr = offset.toString().padStart(10, '0');
+      const genStr = gen.toString().padStart(5, '0');
+      buffer.write(`${offsetStr} ${genStr} ${free ? 'f' : 'n'}\r\n`);
+    }
+  }
+  buffer.write(`trailer\n${serializeValue(trailerDict)}\n`);
+  buffer.write(`startxref\n${startXRef}\n%%EOF\n`);
+}
+
+/**
+ * Writes a cross-reference stream, see the specification (7.5.8), which also
+ * serves as the trailer dictionary.
+ * @param {OutputBuffer} buffer
+ * @param {Ref} ref - The reference of the cross-reference stream itself.
+ * @param {Map} entries - A map from object numbers to `{ offset, gen, free }`
+ *   objects, which must *not* include the entry of the stream itself.
+ * @param {Dict} trailerDict
+ */
+function writeXRefStream(buffer, ref, entries, trailerDict) {
+  const startXRef = buffer.length;
+  entries = new Map(entries);
+  entries.set(ref.num, { offset: startXRef, gen: ref.gen, free: false, });
+
+  const nums = Array.from(entries.keys()).sort((a, b) => a - b);
+  let maxOffset = 0, maxGen = 0;
+  for (const { offset, gen, } of entries.values()) {
+    maxOffset = Math.max(maxOffset, offset);
+    maxGen = Math.max(maxGen, gen);
+  }
+  const byteWidth = (value) => Math.max(1, Math.ceil(Math.log2(value + 1) / 8));
+  const offsetWidth = byteWidth(maxOffset), genWidth = byteWidth(maxGen);
+  const entryWidth = 1 + offsetWidth + genWidth;
+
+  const index = [], data = new Uint8Array(nums.length * entryWidth);
+  let pos = 0;
+  for (let i = 0, ii = nums.length; i < ii; i++) {
+    if (i === 0 || nums[i] !== nums[i - 1] + 1) {
+      index.push(nums[i], 0);
+    }
+    index[index.length - 1]++;
+
+    const { offset, gen, free, } = entries.get(nums[i]);
+    data[pos++] = (free ? 0 : 1);
+    for (let j = offsetWidth - 1; j >= 0; j--) {
+      data[pos++] = Math.floor(offset / (2 ** (8 * j))) % 256;
+    }
+    for (let j = genWidth - 1; j >= 0; j--) {
+      data[pos++] = (gen >> (8 * j)) & 0xFF;
+    }
+  }
+
+  const dict = cloneDict(trailerDict);
+  dict.set('Type', Name.get('XRef'));
+  dict.set('Index', index);
+  dict.set('W', [1, offsetWidth, genWidth]);
+  writeIndirectObject(buffer, ref, new Stream(data, 0, data.length, dict));
+  buffer.write(`startxref\n${startXRef}\n%%EOF\n`);
+}
+
+function isSameValue(a, b) {
+  if (isRef(a) || isRef(b)) {
+    return isRefsEqual(a, b);
+  }
+  if (isName(a) || isName(b)) {
+    return isName(a) && isName(b) && a.name === b.name;
+  }
+  if (a instanceof Cmd || b instanceof Cmd) {
+    return a instanceof Cmd && b instanceof Cmd && a.cmd === b.cmd;
+  }
+  return a === b;
+}
+
+/**
+ * @typedef {Object} ObjectDifference
+ * @property {Array} path - The dictionary keys, and array indices, leading to
+ *   the value that differs; empty when the objects themselves differ.
+ * @property {string} type - Either 'added', 'removed', 'changed', or (for
+ *   streams) 'streamData' when the decoded data differs.
+ * @property {*} oldValue - The old value, for 'removed' and 'changed'.
+ * @property {*} newValue - The new value, for 'added' and 'changed'.
+ */
+
+/**
+ * Compares two (direct) objects structurally, without resolving references.
+ * @returns {Array<ObjectDifference>}
+ */
+function diffObjects(oldObj, newObj, path = [], diff = []) {
+  if (isStream(oldObj) && isStream(newObj)) {
+    diffObjects(oldObj.dict, newObj.dict, path, diff);
+
+    oldObj.reset();
+    newObj.reset();
+    const oldBytes = oldObj.getBytes(), newBytes = newObj.getBytes();
+    let sameData = (oldBytes.length === newBytes.length);
+    for (let i = 0, ii = oldBytes.length; sameData && i < ii; i++) {
+      sameData = (oldBytes[i] === newBytes[i]);
+    }
+    if (!sameData) {
+      diff.push({
+        path,
+        type: 'streamData',
+        oldLength: oldBytes.length,
+        newLength: newBytes.length,
+      });
+    }
+  } else if (isDict(oldObj) && isDict(newObj)) {
+    for (const key of oldObj.getKeys()) {
+      const oldValue = oldObj.getRaw(key);
+      if (!newObj.has(key)) {
+        diff.push({ path: path.concat(key), type: 'removed', oldValue, });
+        continue;
+      }
+      diffObjects(oldValue, newObj.getRaw(key), path.concat(key), diff);
+    }
+    for (const key of newObj.getKeys()) {
+      if (!oldObj.has(key)) {
+        diff.push({
+          path: path.concat(key), type: 'added', newValue: newObj.getRaw(key),
+        });
+      }
+    }
+  } else if (Array.isArray(oldObj) && Array.isArray(newObj)) {
+    for (let i = 0, ii = Math.max(oldObj.length, newObj.length); i < ii; i++) {
+      if (i >= newObj.length) {
+        diff.push({
+          path: path.concat(i), type: 'removed', oldValue: oldObj[i],
+        });
+      } else if (i >= oldObj.length) {
+        diff.push({
+          path: path.concat(i), type: 'added', newValue: newObj[i],
+        });
+      } else {
+        diffObjects(oldObj[i], newObj[i], path.concat(i), diff);
+      }
+    }
+  } else if (!isSameValue(oldObj, newObj)) {
+    diff.push({ path, type: 'changed', oldValue: oldObj, newValue: newObj, });
+  }
+  return diff;
+}
+
+/**
+ * Approximates the memory used by a (direct) object, in bytes.
+ */
+function estimateObjectSize(value) {
+  if (typeof value === 'string') {
+    return 16 + 2 * value.length;
+  }
+  if (Array.isArray(value)) {
+    let size = 16;
+    for (let i = 0, ii = value.length; i < ii; i++) {
+      size += estimateObjectSize(value[i]);
+    }
+    return size;
+  }
+  if (isDict(value)) {
+    let size = 64;
+    for (const key of value.getKeys()) {
+      size += 16 + 2 * key.length + estimateObjectSize(value.getRaw(key));
+    }
+    return size;
+  }
+  // Numbers, booleans, null and the (shared) `Name`, `Ref` and `Cmd` objects.
+  return 8;
+}
+
+/**
+ * The cache of parsed, non-stream, objects used by `XRef`, indexed by object
+ * number. It's unbounded by default, but when a budget is set the least
+ * recently used objects are evicted; `XRef.fetch` will then simply parse them
+ * again when they are needed.
+ */
+class XRefCache {
+  constructor() {
+    this._map = new Map();
+    this._size = 0;
+    this._maxCount = Infinity;
+    this._maxSize = Infinity;
+  }
+
+  get count() {
+    return this._map.size;
+  }
+
+  /**
+   * The approximate size, in bytes, of all cached objects.
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * @param {Object} budget - An object with optional `maxCount` and `maxSize`
+   *   (in bytes) properties; omitted properties remove that limit.
+   */
+  setBudget({ maxCount = Infinity, maxSize = Infinity, } = {}) {
+    this._maxCount = maxCount;
+    this._maxSize = maxSize;
+    this._evict();
+  }
+
+  has(num) {
+    return this._map.has(num);
+  }
+
+  get(num) {
+    const entry = this._map.get(num);
+    if (!entry) {
+      return undefined;
+    }
+    // Re-insert the entry, since the `Map` iteration order is used to find
+    // the least recently used objects.
+    this._map.delete(num);
+    this._map.set(num, entry);
+    return entry.obj;
+  }
+
+  set(num, obj) {
+    this.delete(num);
+    const size = estimateObjectSize(obj);
+    this._map.set(num, { obj, size, });
+    this._size += size;
+    this._evict();
+  }
+
+  delete(num) {
+    const entry = this._map.get(num);
+    if (entry) {
+      this._map.delete(num);
+      this._size -= entry.size;
+    }
+  }
+
+  clear() {
+    this._map.clear();
+    this._size = 0;
+  }
+
+  /**
+   * @private
+   */
+  _evict() {
+    while (this._map.size > 0 && (this._map.size > this._maxCount ||
+                                  this._size > this._maxSize)) {
+      this.delete(this._map.keys().next().value);
+    }
+  }
+}
+
+var XRef = (function XRefClosure() {
+  // The number of object streams whose decoded data is kept in memory.
+  const MAX_DECODED_OBJECT_STREAMS = 10;
+
+  function XRef(stream, pdfManager) {
+    this.stream = stream;
+    this.pdfManager = pdfManager;
+    this.entries = [];
+    this.xrefstms = Object.create(null);
+    // prepare the XRef cache
+    this.cache = new XRefCache();
+    this.stats = {
+      streamTypes: Object.create(null),
+      fontTypes: Object.create(null),
+    };
+    // Objects that were added, modified or removed, which are written
+    // to the file by `incrementalUpdate`.
+    this._changes = new Map();
+    this._nextRefNum = null;
+    this._readOnly = false;
+    // The individual cross-reference sections, indexed by their offsets, used
+    // to provide access to the revisions (i.e. incremental updates) of the
+    // document.
+    this._xrefSections = new Map();
+    this._currentXRefSection = null;
+    this._revisions = null;
+    this.diagnostics = new DiagnosticsCollector();
+    this._objStmIndex = new Map();
+    this._objStmData = new Map();
+    this._objStmCollections = null;
+  }
+
+  XRef.prototype = {
+    setStartXRef: function XRef_setStartXRef(startXRef) {
+      // Store the starting positions of xref tables as we process them
+      // so we can recover from missing data errors
+      this.startXRefQueue = [startXRef];
+      this._startXRef = startXRef;
+    },
+
+    parse: function XRef_parse(recoveryMode) {
+      this._recoveryMode = !!recoveryMode;
+      // The collections depend on the entries, which are (re-)built below.
+      this._objStmCollections = null;
+      var trailerDict;
+      if (!recoveryMode) {
+        trailerDict = this.readXRef();
+      } else {
+        this.diagnostics.report({
+          code: DiagnosticCode.XREF_INDEXING_OBJECTS,
+          message: 'Indexing all PDF objects',
+          category: DiagnosticCategory.RECOVERY,
+        });
+        trailerDict = this.indexObjects();
+      }
+      trailerDict.assignXref(this);
+      this.trailer = trailerDict;
+
+      let encrypt;
+      try {
+        encrypt = trailerDict.get('Encrypt');
+      } catch (ex) {
+        if (ex instanceof MissingDataException) {
+          throw ex;
+        }
+        this.diagnostics.report({
+          code: DiagnosticCode.XREF_INVALID_ENCRYPT,
+          message: `XRef.parse - Invalid "Encrypt" reference: "${ex}".`,
+          ref: trailerDict.getRaw('Encrypt') || null,
+          category: DiagnosticCategory.SKIPPED,
+        });
+      }
+      if (isDict(encrypt)) {
+        var ids = trailerDict.get('ID');
+        var fileId = (ids && ids.length) ? ids[0] : '';
+        // The 'Encrypt' dictionary itself should not be encrypted, and by
+        // setting `suppressEncryption` we can prevent an infinite loop inside
+        // of `XRef_fetchUncompressed` if the dictionary contains indirect
+        // objects (fixes issue7665.pdf).
+        encrypt.suppressEncryption = true;
+        this.encrypt = new CipherTransformFactory(encrypt, fileId,
+                                                  this.pdfManager.password);
+      }
+
+      // Get the root dictionary (catalog) object, and do some basic validation.
+      let root;
+      try {
+        root = trailerDict.get('Root');
+      } catch (ex) {
+        if (ex instanceof MissingDataException) {
+          throw ex;
+        }
+        this.diagnostics.report({
+          code: DiagnosticCode.XREF_INVALID_ROOT,
+          message: `XRef.parse - Invalid "Root" reference: "${ex}".`,
+          ref: trailerDict.getRaw('Root') || null,
+          category: DiagnosticCategory.SKIPPED,
+        });
+      }
+      if (isDict(root) && root.has('Pages')) {
+        this.root = root;
+      } else {
+        if (!recoveryMode) {
+          throw new XRefParseException();
+        }
+        throw new FormatError('Invalid root reference');
+      }
+    },
+
+    processXRefTable: function XRef_processXRefTable(parser) {
+      if (!('tableState' in this)) {
+        // Stores state of the table as we process it so we can resume
+        // from middle of table in case of missing data error
+        this.tableState = {
+          entryNum: 0,
+          streamPos: parser.lexer.stream.pos,
+          parserBuf1: parser.buf1,
+          parserBuf2: parser.buf2,
+        };
+      }
+
+      var obj = this.readXRefTable(parser);
+
+      // Sanity check
+      if (!isCmd(obj, 'trailer')) {
+        throw new FormatError(
+          'Invalid XRef table: could not find trailer dictionary');
+      }
+      // Read trailer dictionary, e.g.
+      // trailer
+      //    << /Size 22
+      //      /Root 20R
+      //      /Info 10R
+      //      /ID [ <81b14aafa313db63dbd6f981e49f94f4> ]
+      //    >>
+      // The parser goes through the entire stream << ... >> and provides
+      // a getter interface for the key-value table
+      var dict = parser.getObj();
+
+      // The pdflib PDF generator can generate a nested trailer dictionary
+      if (!isDict(dict) && dict.dict) {
+        this.diagnostics.report({
+          severity: DiagnosticSeverity.INFO,
+          code: DiagnosticCode.XREF_NESTED_TRAILER,
+          message: 'Invalid XRef table: using nested trailer dictionary.',
+          offset: parser.lexer.stream.pos - parser.lexer.stream.start,
+          category: DiagnosticCategory.RECOVERY,
+        });
+        dict = dict.dict;
+      }
+      if (!isDict(dict)) {
+        throw new FormatError(
+          'Invalid XRef table: could not parse trailer dictionary');
+      }
+      delete this.tableState;
+
+      return dict;
+    },
+
+    readXRefTable: function XRef_readXRefTable(parser) {
+      // Example of cross-reference table:
+      // xref
+      // 0 1                    <-- subsection header (first obj #, obj count)
+      // 0000000000 65535 f     <-- actual object (offset, generation #, f/n)
+      // 23 2                   <-- subsection header ... and so on ...
+      // 0000025518 00002 n
+      // 0000025635 00000 n
+      // trailer
+      // ...
+
+      var stream = parser.lexer.stream;
+      var tableState = this.tableState;
+      stream.pos = tableState.streamPos;
+      parser.buf1 = tableState.parserBuf1;
+      parser.buf2 = tableState.parserBuf2;
+
+      // Outer loop is over subsection headers
+      var obj;
+
+      while (true) {
+        if (!('firstEntryNum' in tableState) || !('entryCount' in tableState)) {
+          if (isCmd(obj = parser.getObj(), 'trailer')) {
+            break;
+          }
+          tableState.firstEntryNum = obj;
+          tableState.entryCount = parser.getObj();
+        }
+
+        var first = tableState.firstEntryNum;
+        var count = tableState.entryCount;
+        if (!Number.isInteger(first) || !Number.isInteger(count)) {
+          throw new FormatError(
+            'Invalid XRef table: wrong types in subsection header');
+        }
+        // Inner loop is over objects themselves
         for (var i = tableState.entryNum; i < count; i++) {
           tableState.streamPos = stream.pos;
           tableState.entryNum = i;
@@ -1220,12 +4852,22 @@ var XRef = (function XRefClosure() {
           // The first xref table entry, i.e. obj 0, should be free. Attempting
           // to adjust an incorrect first obj # (fixes issue 3248 and 7229).
           if (i === 0 && entry.free && first === 1) {
+            this.diagnostics.report({
+              severity: DiagnosticSeverity.INFO,
+              code: DiagnosticCode.XREF_FIRST_OBJECT_RENUMBERED,
+              message: 'Invalid XRef table: adjusting incorrect first object.',
+              offset: tableState.streamPos - stream.start,
+              category: DiagnosticCategory.RECOVERY,
+            });
             first = 0;
           }
 
           if (!this.entries[i + first]) {
             this.entries[i + first] = entry;
           }
+          if (this._currentXRefSection) {
+            this._currentXRefSection.entries.set(i + first, entry);
+          }
         }
 
         tableState.entryNum = 0;
@@ -1329,6 +4971,9 @@ var XRef = (function XRefClosure() {
           if (!this.entries[first + i]) {
             this.entries[first + i] = entry;
           }
+          if (this._currentXRefSection) {
+            this._currentXRefSection.entries.set(first + i, entry);
+          }
         }
 
         streamState.entryNum = 0;
@@ -1443,350 +5088,1435 @@ var XRef = (function XRefClosure() {
               let objToken = nestedObjRegExp.exec(tokenStr);
 
               if (objToken && objToken[1]) {
-                warn('indexObjects: Found new "obj" inside of another "obj", ' +
-                     'caused by missing "endobj" -- trying to recover.');
+                this.diagnostics.report({
+                  code: DiagnosticCode.XREF_MISSING_ENDOBJ,
+                  message: 'indexObjects: Found new "obj" inside of another ' +
+                    '"obj", caused by missing "endobj" -- trying to recover.',
+                  ref: Ref.get(num, gen),
+                  offset: position - stream.start,
+                  category: DiagnosticCategory.RECOVERY,
+                });
                 contentLength -= objToken[1].length;
                 break;
               }
             }
             startPos = endPos;
           }
-          let content = buffer.subarray(position, position + contentLength);
+          let content = buffer.subarray(position, position + contentLength);
+
+          // checking XRef stream suspect
+          // (it shall have '/XRef' and next char is not a letter)
+          var xrefTagOffset = skipUntil(content, 0, xrefBytes);
+          if (xrefTagOffset < contentLength &&
+              content[xrefTagOffset + 5] < 64) {
+            xrefStms.push(position - stream.start);
+            this.xrefstms[position - stream.start] = 1; // Avoid recursion
+          }
+
+          position += contentLength;
+        } else if (token.startsWith('trailer') &&
+                   (token.length === 7 || /\s/.test(token[7]))) {
+          trailers.push(position);
+          position += skipUntil(buffer, position, startxrefBytes);
+        } else {
+          position += token.length + 1;
+        }
+      }
+      // reading XRef streams
+      var i, ii;
+      for (i = 0, ii = xrefStms.length; i < ii; ++i) {
+        this.startXRefQueue.push(xrefStms[i]);
+        this.readXRef(/* recoveryMode */ true);
+      }
+      // finding main trailer
+      let trailerDict;
+      for (i = 0, ii = trailers.length; i < ii; ++i) {
+        stream.pos = trailers[i];
+        const parser = new Parser({
+          lexer: new Lexer(stream),
+          xref: this,
+          allowStreams: true,
+          recoveryMode: true,
+        });
+        var obj = parser.getObj();
+        if (!isCmd(obj, 'trailer')) {
+          continue;
+        }
+        // read the trailer dictionary
+        let dict = parser.getObj();
+        if (!isDict(dict)) {
+          continue;
+        }
+        // Do some basic validation of the trailer/root dictionary candidate.
+        let rootDict;
+        try {
+          rootDict = dict.get('Root');
+        } catch (ex) {
+          if (ex instanceof MissingDataException) {
+            throw ex;
+          }
+          continue;
+        }
+        if (!isDict(rootDict) || !rootDict.has('Pages')) {
+          continue;
+        }
+        // taking the first one with 'ID'
+        if (dict.has('ID')) {
+          return dict;
+        }
+        // The current dictionary is a candidate, but continue searching.
+        trailerDict = dict;
+      }
+      // No trailer with 'ID', taking last one (if exists).
+      if (trailerDict) {
+        return trailerDict;
+      }
+      // nothing helps
+      throw new InvalidPDFException('Invalid PDF structure');
+    },
+
+    readXRef: function XRef_readXRef(recoveryMode) {
+      var stream = this.stream;
+      // Keep track of already parsed XRef tables, to prevent an infinite loop
+      // when parsing corrupt PDF files where e.g. the /Prev entries create a
+      // circular dependency between tables (fixes bug1393476.pdf).
+      let startXRefParsedCache = Object.create(null);
+
+      try {
+        while (this.startXRefQueue.length) {
+          var startXRef = this.startXRefQueue[0];
+
+          if (startXRefParsedCache[startXRef]) {
+            this.diagnostics.report({
+              code: DiagnosticCode.XREF_SECTION_ALREADY_PARSED,
+              message:
+                'readXRef - skipping XRef table since it was already parsed.',
+              offset: startXRef,
+              category: DiagnosticCategory.RECOVERY,
+            });
+            this.startXRefQueue.shift();
+            continue;
+          }
+          startXRefParsedCache[startXRef] = true;
+
+          stream.pos = startXRef + stream.start;
+
+          let section = this._xrefSections.get(startXRef);
+          if (!section) {
+            section = {
+              startXRef,
+              format: null,
+              trailer: null,
+              entries: new Map(),
+              xrefStm: null,
+              prev: null,
+            };
+            this._xrefSections.set(startXRef, section);
+          }
+          this._currentXRefSection = section;
+
+          const parser = new Parser({
+            lexer: new Lexer(stream),
+            xref: this,
+            allowStreams: true,
+          });
+          var obj = parser.getObj();
+          var dict;
+
+          // Get dictionary
+          if (isCmd(obj, 'xref')) {
+            // Parse end-of-file XRef
+            dict = this.processXRefTable(parser);
+            if (!this.topDict) {
+              this.topDict = dict;
+              this._xrefFormat = 'table';
+            }
+            section.format = 'table';
+
+            // Recursively get other XRefs 'XRefStm', if any
+            obj = dict.get('XRefStm');
+            if (Number.isInteger(obj)) {
+              var pos = obj;
+              section.xrefStm = pos;
+              // ignore previously loaded xref streams
+              // (possible infinite recursion)
+              if (!(pos in this.xrefstms)) {
+                this.xrefstms[pos] = 1;
+                this.startXRefQueue.push(pos);
+              }
+            }
+          } else if (Number.isInteger(obj)) {
+            // Parse in-stream XRef
+            if (!Number.isInteger(parser.getObj()) ||
+                !isCmd(parser.getObj(), 'obj') ||
+                !isStream(obj = parser.getObj())) {
+              throw new FormatError('Invalid XRef stream');
+            }
+            dict = this.processXRefStream(obj);
+            if (!this.topDict) {
+              this.topDict = dict;
+              this._xrefFormat = 'stream';
+            }
+            if (!dict) {
+              throw new FormatError('Failed to read XRef stream');
+            }
+            section.format = 'stream';
+          } else {
+            throw new FormatError('Invalid XRef stream header');
+          }
+
+          section.trailer = dict;
+          this._currentXRefSection = null;
+
+          // Recursively get previous dictionary, if any
+          obj = dict.get('Prev');
+          if (Number.isInteger(obj)) {
+            this.startXRefQueue.push(obj);
+            section.prev = obj;
+          } else if (isRef(obj)) {
+            // The spec says Prev must not be a reference, i.e. "/Prev NNN"
+            // This is a fallback for non-compliant PDFs, i.e. "/Prev NNN 0 R"
+            this.diagnostics.report({
+              severity: DiagnosticSeverity.INFO,
+              code: DiagnosticCode.XREF_PREV_IS_REFERENCE,
+              message: 'readXRef - using the object number of a /Prev ' +
+                'reference as offset.',
+              offset: startXRef,
+              category: DiagnosticCategory.RECOVERY,
+            });
+            this.startXRefQueue.push(obj.num);
+            section.prev = obj.num;
+          }
+
+          this.startXRefQueue.shift();
+        }
+
+        return this.topDict;
+      } catch (e) {
+        this._currentXRefSection = null;
+        if (e instanceof MissingDataException) {
+          throw e;
+        }
+        this.diagnostics.report({
+          severity: DiagnosticSeverity.INFO,
+          code: DiagnosticCode.XREF_READ_ERROR,
+          message: '(while reading XRef): ' + e,
+          offset: (this.startXRefQueue.length > 0 ?
+                   this.startXRefQueue[0] : null),
+          category: DiagnosticCategory.SKIPPED,
+        });
+      }
+
+      if (recoveryMode) {
+        return undefined;
+      }
+      throw new XRefParseException();
+    },
+
+    getEntry: function XRef_getEntry(i) {
+      var xrefEntry = this.entries[i];
+      if (xrefEntry && !xrefEntry.free && xrefEntry.offset) {
+        return xrefEntry;
+      }
+      return null;
+    },
+
+    fetchIfRef: function XRef_fetchIfRef(obj, suppressEncryption) {
+      if (!isRef(obj)) {
+        return obj;
+      }
+      return this.fetch(obj, suppressEncryption);
+    },
+
+    fetch: function XRef_fetch(ref, suppressEncryption) {
+      if (!isRef(ref)) {
+        throw new Error('ref object is not a reference');
+      }
+      var num = ref.num;
+      if (this._changes.has(num)) {
+        const change = this._changes.get(num);
+        if (change.free) {
+          return null;
+        }
+        if (isDict(change.obj)) {
+          change.obj.objId = ref.toString();
+        } else if (isStream(change.obj)) {
+          change.obj.reset();
+          change.obj.dict.objId = ref.toString();
+        }
+        return change.obj;
+      }
+      if (this.cache.has(num)) {
+        var cacheEntry = this.cache.get(num);
+        // In documents with Object Streams, it's possible that cached `Dict`s
+        // have not been assigned an `objId` yet (see e.g. issue3115r.pdf).
+        if (cacheEntry instanceof Dict && !cacheEntry.objId) {
+          cacheEntry.objId = ref.toString();
+        }
+        return cacheEntry;
+      }
+
+      var xrefEntry = this.getEntry(num);
+
+      // the referenced entry can be free
+      if (xrefEntry === null) {
+        this.cache.set(num, null);
+        return null;
+      }
+
+      if (xrefEntry.uncompressed) {
+        xrefEntry = this.fetchUncompressed(ref, xrefEntry, suppressEncryption);
+      } else {
+        xrefEntry = this.fetchCompressed(ref, xrefEntry, suppressEncryption);
+      }
+      if (isDict(xrefEntry)) {
+        xrefEntry.objId = ref.toString();
+      } else if (isStream(xrefEntry)) {
+        xrefEntry.dict.objId = ref.toString();
+      }
+      return xrefEntry;
+    },
+
+    fetchUncompressed(ref, xrefEntry, suppressEncryption = false) {
+      var gen = ref.gen;
+      var num = ref.num;
+      if (xrefEntry.gen !== gen) {
+        throw new XRefEntryException(`Inconsistent generation in XRef: ${ref}`);
+      }
+      var stream = this.stream.makeSubStream(xrefEntry.offset +
+                                             this.stream.start);
+      const parser = new Parser({
+        lexer: new Lexer(stream),
+        xref: this,
+        allowStreams: true,
+      });
+      var obj1 = parser.getObj();
+      var obj2 = parser.getObj();
+      var obj3 = parser.getObj();
+
+      if (!Number.isInteger(obj1)) {
+        obj1 = parseInt(obj1, 10);
+      }
+      if (!Number.isInteger(obj2)) {
+        obj2 = parseInt(obj2, 10);
+      }
+      if (obj1 !== num || obj2 !== gen || !(obj3 instanceof Cmd)) {
+        throw new XRefEntryException(`Bad (uncompressed) XRef entry: ${ref}`);
+      }
+      if (obj3.cmd !== 'obj') {
+        // some bad PDFs use "obj1234" and really mean 1234
+        if (obj3.cmd.startsWith('obj')) {
+          num = parseInt(obj3.cmd.substring(3), 10);
+          if (!Number.isNaN(num)) {
+            this.diagnostics.report({
+              severity: DiagnosticSeverity.INFO,
+              code: DiagnosticCode.XREF_OBJECT_NUMBER_IN_CMD,
+              message: `Bad (uncompressed) XRef entry: ${ref}, using "${num}".`,
+              ref,
+              offset: xrefEntry.offset,
+              category: DiagnosticCategory.RECOVERY,
+            });
+            return num;
+          }
+        }
+        throw new XRefEntryException(`Bad (uncompressed) XRef entry: ${ref}`);
+      }
+      if (this.encrypt && !suppressEncryption) {
+        xrefEntry = parser.getObj(this.encrypt.createCipherTransform(num, gen));
+      } else {
+        xrefEntry = parser.getObj();
+      }
+      if (!isStream(xrefEntry)) {
+        this.cache.set(num, xrefEntry);
+      }
+      return xrefEntry;
+    },
 
-          // checking XRef stream suspect
-          // (it shall have '/XRef' and next char is not a letter)
-          var xrefTagOffset = skipUntil(content, 0, xrefBytes);
-          if (xrefTagOffset < contentLength &&
-              content[xrefTagOffset + 5] < 64) {
-            xrefStms.push(position - stream.start);
-            this.xrefstms[position - stream.start] = 1; // Avoid recursion
-          }
+    /**
+     * Parses the dictionary of a stream object, without reading (or loading)
+     * the stream data itself. This is useful for potentially large streams,
+     * such as embedded files, whose data may never be needed.
+     * @param {Ref} ref
+     * @returns {Object|null} An object with the stream dictionary (`dict`),
+     *   and the absolute offset (`start`) and `length` of the encoded data,
+     *   which are `null` if the data could only be located by reading the
+     *   entire stream, e.g. for modified objects or invalid /Length entries
+     *   (including those not followed by the `endstream` keyword).
+     *   Returns `null` if the object isn't a stream.
+     */
+    fetchStreamDict(ref) {
+      const num = ref.num, gen = ref.gen;
+      const xrefEntry = this.getEntry(num);
+
+      const fetchStream = () => {
+        const obj = this.fetch(ref);
+        return (isStream(obj) ?
+                { dict: obj.dict, start: null, length: null, } : null);
+      };
+      if (this._changes.has(num) || !xrefEntry || !xrefEntry.uncompressed ||
+          xrefEntry.gen !== gen) {
+        return fetchStream();
+      }
+      const parser = new Parser({
+        lexer: new Lexer(this.stream.makeSubStream(xrefEntry.offset +
+                                                   this.stream.start)),
+        xref: this,
+        allowStreams: false,
+      });
+      const obj1 = parser.getObj(), obj2 = parser.getObj();
+      if (obj1 !== num || obj2 !== gen || !isCmd(parser.getObj(), 'obj')) {
+        return fetchStream();
+      }
+      const dict = parser.getObj(this.encrypt ?
+        this.encrypt.createCipherTransform(num, gen) : null);
+      if (!isDict(dict) || !isCmd(parser.buf2, 'stream')) {
+        return null;
+      }
+      dict.objId = ref.toString();
 
-          position += contentLength;
-        } else if (token.startsWith('trailer') &&
-                   (token.length === 7 || /\s/.test(token[7]))) {
-          trailers.push(position);
-          position += skipUntil(buffer, position, startxrefBytes);
-        } else {
-          position += token.length + 1;
-        }
+      const length = dict.get('Length');
+      if (!Number.isInteger(length) || length < 0) {
+        return fetchStream();
       }
-      // reading XRef streams
-      var i, ii;
-      for (i = 0, ii = xrefStms.length; i < ii; ++i) {
-        this.startXRefQueue.push(xrefStms[i]);
-        this.readXRef(/* recoveryMode */ true);
+      // Skip the end-of-line marker after the `stream` keyword, exactly like
+      // `Parser.makeStream` does.
+      const lexer = parser.lexer;
+      lexer.skipToNextLine();
+      const start = lexer.stream.pos - 1;
+
+      // Like `Parser.makeStream`, only trust the /Length entry when the stream
+      // data is followed by the `endstream` keyword; otherwise the entire
+      // stream is parsed, which searches for the keyword instead.
+      const endStream = this.stream.makeSubStream(start + length);
+      let ch = endStream.getByte();
+      while (isSpace(ch)) {
+        ch = endStream.getByte();
       }
-      // finding main trailer
-      let trailerDict;
-      for (i = 0, ii = trailers.length; i < ii; ++i) {
-        stream.pos = trailers[i];
-        const parser = new Parser({
-          lexer: new Lexer(stream),
-          xref: this,
-          allowStreams: true,
-          recoveryMode: true,
+      endStream.skip(-1);
+      if (bytesToString(endStream.getBytes(9)) !== 'endstream') {
+        return fetchStream();
+      }
+      return { dict, start, length, };
+    },
+
+    fetchCompressed(ref, xrefEntry, suppressEncryption = false) {
+      let objStm = this._getObjectStreamIndex(xrefEntry.offset);
+      let index = xrefEntry.gen;
+      if (objStm.nums[index] !== ref.num) {
+        // The object stream contains another object at the index, hence try
+        // to find the object elsewhere in the object stream, or in the object
+        // streams that it extends (see the /Extends entry).
+        const location = this._findCompressedObject(ref.num, objStm);
+        const result = (location ?
+          `found in ObjStm ${location.objStm.num} at index ${location.index}` :
+          'not found in its ObjStm /Extends chain');
+        this.diagnostics.report({
+          severity: DiagnosticSeverity.INFO,
+          code: DiagnosticCode.OBJSTM_ENTRY_CONFLICT,
+          message: `Bad (compressed) XRef entry: ${ref}, ${result}.`,
+          ref,
+          category: DiagnosticCategory.RECOVERY,
         });
-        var obj = parser.getObj();
-        if (!isCmd(obj, 'trailer')) {
-          continue;
+        if (location) {
+          ({ objStm, index, } = location);
         }
-        // read the trailer dictionary
-        let dict = parser.getObj();
-        if (!isDict(dict)) {
-          continue;
+      }
+      let obj;
+      if (index < objStm.nums.length) {
+        obj = (objStm.hasValidOffsets ?
+               this._parseCompressedObject(objStm, index) :
+               this._parseCompressedObjects(objStm)[index]);
+      }
+      if (obj === undefined || isEOF(obj)) {
+        throw new XRefEntryException(`Bad (compressed) XRef entry: ${ref}`);
+      }
+      if (objStm.nums[index] === ref.num) {
+        this.cache.set(ref.num, obj);
+      }
+      return obj;
+    },
+
+    /**
+     * Returns the index of an object stream, i.e. the object numbers and the
+     * offsets of the objects it contains, which is kept for the lifetime of
+     * the XRef (independently of the object cache). This allows parsing the
+     * objects individually, rather than parsing the entire object stream
+     * whenever an (uncached) object is requested.
+     * @private
+     */
+    _getObjectStreamIndex(objStmNum) {
+      let objStm = this._objStmIndex.get(objStmNum);
+      if (objStm) {
+        return objStm;
+      }
+      const stream = this.fetch(Ref.get(objStmNum, 0));
+      if (!isStream(stream)) {
+        throw new FormatError('bad ObjStm stream');
+      }
+      const first = stream.dict.get('First');
+      const n = stream.dict.get('N');
+      if (!Number.isInteger(first) || !Number.isInteger(n)) {
+        throw new FormatError(
+          'invalid first and n parameters for ObjStm stream');
+      }
+      const bytes = stream.getBytes();
+      // Read the header using the lexer directly, since the parser reads ahead
+      // and its position thus isn't the end of the header.
+      const lexer = new Lexer(new Stream(bytes, 0, bytes.length));
+      const nums = [], offsets = [];
+      for (let i = 0; i < n; ++i) {
+        const num = lexer.getObj();
+        if (!Number.isInteger(num)) {
+          throw new FormatError(
+            `invalid object number in the ObjStm stream: ${num}`);
         }
-        // Do some basic validation of the trailer/root dictionary candidate.
-        let rootDict;
+        nums.push(num);
+        const offset = lexer.getObj();
+        if (!Number.isInteger(offset)) {
+          throw new FormatError(
+            `invalid object offset in the ObjStm stream: ${offset}`);
+        }
+        offsets.push(offset);
+      }
+      // The lexer has already read the character following the last number.
+      const headerEnd = lexer.stream.pos - 1;
+      // Only trust the offsets if the objects start after the header, and if
+      // they're increasing and inside of the data; otherwise fall back to
+      // parsing all objects in order.
+      const hasValidOffsets = first >= headerEnd &&
+        offsets.every((offset, i) => {
+          return offset >= 0 && first + offset < bytes.length &&
+                 (i === 0 || offset > offsets[i - 1]);
+        });
+
+      const extendsRef = stream.dict.getRaw('Extends');
+
+      objStm = {
+        num: objStmNum,
+        first,
+        nums,
+        offsets,
+        hasValidOffsets,
+        extendsNum: isRef(extendsRef) ? extendsRef.num : null,
+      };
+      this._objStmIndex.set(objStmNum, objStm);
+      this._cacheObjectStreamData(objStmNum, bytes);
+      return objStm;
+    },
+
+    /**
+     * Returns the object numbers of an object stream, and of the object streams
+     * it extends (following the /Extends entries), in order.
+     * @private
+     */
+    _getObjectStreamChain(objStmNum) {
+      const chain = [], visited = new Set();
+      let num = objStmNum;
+      while (num !== null) {
+        if (visited.has(num)) {
+          this.diagnostics.report({
+            code: DiagnosticCode.OBJSTM_EXTENDS_CIRCULAR,
+            message: `Circular /Extends entries found in ObjStm ${num}.`,
+            ref: Ref.get(num, 0),
+          });
+          break;
+        }
+        visited.add(num);
+        let objStm;
         try {
-          rootDict = dict.get('Root');
+          objStm = this._getObjectStreamIndex(num);
         } catch (ex) {
           if (ex instanceof MissingDataException) {
             throw ex;
           }
-          continue;
+          this.diagnostics.report({
+            code: DiagnosticCode.OBJSTM_INVALID,
+            message: `Invalid ObjStm ${num}: "${ex}".`,
+            ref: Ref.get(num, 0),
+            category: DiagnosticCategory.SKIPPED,
+          });
+          break;
         }
-        if (!isDict(rootDict) || !rootDict.has('Pages')) {
-          continue;
+        chain.push(num);
+        num = objStm.extendsNum;
+      }
+      return chain;
+    },
+
+    /**
+     * @typedef {Object} ObjectStreamCollection
+     * @property {Ref} root - The object stream that doesn't extend any other
+     *   object stream, or (for circular /Extends entries) the first one found.
+     * @property {Array<Ref>} streams - All object streams in the collection.
+     * @property {Array<number>} objectNumbers - The numbers of the objects that
+     *   are contained in the collection.
+     * @property {Array<number>} duplicateObjectNumbers - The numbers of the
+     *   objects that are contained more than once in the collection.
+     */
+
+    /**
+     * Groups the object streams of the document into collections, i.e. object
+     * streams that are linked through their /Extends entries.
+     * @returns {Array<ObjectStreamCollection>}
+     */
+    getObjectStreamCollections() {
+      if (this._objStmCollections) {
+        return this._objStmCollections;
+      }
+      const objStmNums = new Set();
+      for (const entry of this.entries) {
+        if (entry && !entry.free && !entry.uncompressed) {
+          objStmNums.add(entry.offset);
         }
-        // taking the first one with 'ID'
-        if (dict.has('ID')) {
-          return dict;
+      }
+      // Find the connected object streams, using a union-find structure.
+      const parents = new Map();
+      const findRoot = (num) => {
+        while (parents.get(num) !== num) {
+          num = parents.get(num);
+        }
+        return num;
+      };
+      for (const objStmNum of Array.from(objStmNums).sort((a, b) => a - b)) {
+        const chain = this._getObjectStreamChain(objStmNum);
+        for (let i = 0, ii = chain.length; i < ii; i++) {
+          if (!parents.has(chain[i])) {
+            parents.set(chain[i], chain[i]);
+          }
+          if (i > 0) {
+            const root = findRoot(chain[i - 1]), otherRoot = findRoot(chain[i]);
+            if (root !== otherRoot) {
+              parents.set(root, otherRoot);
+            }
+          }
         }
-        // The current dictionary is a candidate, but continue searching.
-        trailerDict = dict;
       }
-      // No trailer with 'ID', taking last one (if exists).
-      if (trailerDict) {
-        return trailerDict;
+      const groups = new Map();
+      for (const num of parents.keys()) {
+        const root = findRoot(num);
+        if (!groups.has(root)) {
+          groups.set(root, []);
+        }
+        groups.get(root).push(num);
       }
-      // nothing helps
-      throw new InvalidPDFException('Invalid PDF structure');
+
+      const collections = [];
+      for (const nums of groups.values()) {
+        nums.sort((a, b) => a - b);
+        const rootNum = nums.find((num) => {
+          return this._getObjectStreamIndex(num).extendsNum === null;
+        });
+        const objectNumbers = new Set(), duplicateObjectNumbers = new Set();
+        for (const num of nums) {
+          for (const objNum of this._getObjectStreamIndex(num).nums) {
+            if (objectNumbers.has(objNum)) {
+              duplicateObjectNumbers.add(objNum);
+            }
+            objectNumbers.add(objNum);
+          }
+        }
+        collections.push({
+          root: Ref.get(rootNum !== undefined ? rootNum : nums[0], 0),
+          streams: nums.map((num) => Ref.get(num, 0)),
+          objectNumbers: Array.from(objectNumbers).sort((a, b) => a - b),
+          duplicateObjectNumbers:
+            Array.from(duplicateObjectNumbers).sort((a, b) => a - b),
+        });
+      }
+      return (this._objStmCollections = collections);
     },
 
-    readXRef: function XRef_readXRef(recoveryMode) {
-      var stream = this.stream;
-      // Keep track of already parsed XRef tables, to prevent an infinite loop
-      // when parsing corrupt PDF files where e.g. the /Prev entries create a
-      // circular dependency between tables (fixes bug1393476.pdf).
-      let startXRefParsedCache = Object.create(null);
+    /**
+     * Finds an object in an object stream, or in the object streams that it
+     * extends (following the /Extends entries, in order).
+     * NOTE: Only that chain is searched, rather than the entire collection,
+     * since finding the collection requires indexing all object streams.
+     * @private
+     */
+    _findCompressedObject(num, objStm) {
+      let index = objStm.nums.indexOf(num);
+      if (index >= 0) {
+        return { objStm, index, };
+      }
+      for (const objStmNum of this._getObjectStreamChain(objStm.num)) {
+        const otherObjStm = this._getObjectStreamIndex(objStmNum);
+        index = otherObjStm.nums.indexOf(num);
+        if (index >= 0) {
+          return { objStm: otherObjStm, index, };
+        }
+      }
+      return null;
+    },
 
-      try {
-        while (this.startXRefQueue.length) {
-          var startXRef = this.startXRefQueue[0];
+    /**
+     * Keeps the decoded data of the most recently used object streams, since
+     * decoding it is relatively expensive.
+     * @private
+     */
+    _cacheObjectStreamData(objStmNum, bytes) {
+      this._objStmData.delete(objStmNum);
+      this._objStmData.set(objStmNum, bytes);
+      if (this._objStmData.size > MAX_DECODED_OBJECT_STREAMS) {
+        this._objStmData.delete(this._objStmData.keys().next().value);
+      }
+    },
 
-          if (startXRefParsedCache[startXRef]) {
-            warn('readXRef - skipping XRef table since it was already parsed.');
-            this.startXRefQueue.shift();
-            continue;
-          }
-          startXRefParsedCache[startXRef] = true;
+    /**
+     * @private
+     */
+    _getObjectStreamData(objStm) {
+      let bytes = this._objStmData.get(objStm.num);
+      if (!bytes) {
+        const stream = this.fetch(Ref.get(objStm.num, 0));
+        if (!isStream(stream)) {
+          throw new FormatError('bad ObjStm stream');
+        }
+        bytes = stream.getBytes();
+      }
+      this._cacheObjectStreamData(objStm.num, bytes);
+      return bytes;
+    },
 
-          stream.pos = startXRef + stream.start;
+    /**
+     * Parses a single object, using the offsets of the object stream index.
+     * @private
+     */
+    _parseCompressedObject(objStm, index) {
+      const bytes = this._getObjectStreamData(objStm);
+      const { first, offsets, } = objStm;
+      const begin = first + offsets[index];
+      const end = (index + 1 < offsets.length ?
+                   first + offsets[index + 1] : bytes.length);
+      const parser = new Parser({
+        lexer: new Lexer(new Stream(bytes, begin, end - begin)),
+        xref: this,
+        allowStreams: true,
+      });
+      return parser.getObj();
+    },
 
-          const parser = new Parser({
-            lexer: new Lexer(stream),
-            xref: this,
-            allowStreams: true,
+    /**
+     * Parses all objects in order, ignoring the offsets of the object stream
+     * index, which is necessary for corrupt object streams.
+     * @private
+     */
+    _parseCompressedObjects(objStm) {
+      const bytes = this._getObjectStreamData(objStm);
+      const nums = objStm.nums, n = nums.length;
+      const parser = new Parser({
+        lexer: new Lexer(new Stream(bytes, 0, bytes.length)),
+        xref: this,
+        allowStreams: true,
+      });
+      // Skip the header, i.e. the object number and offset pairs, and parse
+      // the objects that follow it; note that /First isn't trusted either.
+      for (let i = 0; i < 2 * n; ++i) {
+        parser.getObj();
+      }
+      const entries = [];
+      for (let i = 0; i < n; ++i) {
+        entries.push(parser.getObj());
+        // The ObjStm should not contain 'endobj'. If it's present, skip over it
+        // to support corrupt PDFs (fixes issue 5241, bug 898610, bug 1037816).
+        if (isCmd(parser.buf1, 'endobj')) {
+          this.diagnostics.report({
+            severity: DiagnosticSeverity.INFO,
+            code: DiagnosticCode.OBJSTM_ENDOBJ_SKIPPED,
+            message: 'Skipping "endobj" operator in ObjStm stream.',
+            ref: Ref.get(objStm.num, 0),
+            category: DiagnosticCategory.RECOVERY,
           });
-          var obj = parser.getObj();
-          var dict;
+          parser.shift();
+        }
+        const num = nums[i], entry = this.entries[num];
+        if (entry && entry.offset === objStm.num && entry.gen === i) {
+          this.cache.set(num, entries[i]);
+        }
+      }
+      return entries;
+    },
 
-          // Get dictionary
-          if (isCmd(obj, 'xref')) {
-            // Parse end-of-file XRef
-            dict = this.processXRefTable(parser);
-            if (!this.topDict) {
-              this.topDict = dict;
-            }
+    async fetchIfRefAsync(obj, suppressEncryption) {
+      if (!isRef(obj)) {
+        return obj;
+      }
+      return this.fetchAsync(obj, suppressEncryption);
+    },
 
-            // Recursively get other XRefs 'XRefStm', if any
-            obj = dict.get('XRefStm');
-            if (Number.isInteger(obj)) {
-              var pos = obj;
-              // ignore previously loaded xref streams
-              // (possible infinite recursion)
-              if (!(pos in this.xrefstms)) {
-                this.xrefstms[pos] = 1;
-                this.startXRefQueue.push(pos);
-              }
-            }
-          } else if (Number.isInteger(obj)) {
-            // Parse in-stream XRef
-            if (!Number.isInteger(parser.getObj()) ||
-                !isCmd(parser.getObj(), 'obj') ||
-                !isStream(obj = parser.getObj())) {
-              throw new FormatError('Invalid XRef stream');
-            }
-            dict = this.processXRefStream(obj);
-            if (!this.topDict) {
-              this.topDict = dict;
-            }
-            if (!dict) {
-              throw new FormatError('Failed to read XRef stream');
-            }
-          } else {
-            throw new FormatError('Invalid XRef stream header');
-          }
+    async fetchAsync(ref, suppressEncryption) {
+      try {
+        return this.fetch(ref, suppressEncryption);
+      } catch (ex) {
+        if (!(ex instanceof MissingDataException)) {
+          throw ex;
+        }
+        await this.pdfManager.requestRange(ex.begin, ex.end);
+        return this.fetchAsync(ref, suppressEncryption);
+      }
+    },
 
-          // Recursively get previous dictionary, if any
-          obj = dict.get('Prev');
-          if (Number.isInteger(obj)) {
-            this.startXRefQueue.push(obj);
-          } else if (isRef(obj)) {
-            // The spec says Prev must not be a reference, i.e. "/Prev NNN"
-            // This is a fallback for non-compliant PDFs, i.e. "/Prev NNN 0 R"
-            this.startXRefQueue.push(obj.num);
+    getCatalogObj: function XRef_getCatalogObj() {
+      return this.root;
+    },
+
+    /**
+     * @typedef {Object} XRefStatistics
+     * @property {Object} entries - The number of `free`, `uncompressed` and
+     *   `compressed` (i.e. in an object stream) cross-reference entries.
+     * @property {Object} types - The number of objects per /Type entry.
+     * @property {number} untypedObjects - The number of (dictionary and stream)
+     *   objects without a /Type entry.
+     * @property {number} unreadableObjects - The number of objects that could
+     *   not be parsed.
+     * @property {Object} streams - The number of streams (`count`), the number
+     *   of streams per filter (`filters`), and the total size of the encoded
+     *   (`encodedBytes`) and decoded (`decodedBytes`) data.
+     * @property {Object} objectStreams - The number of object streams
+     *   (`count`), the fraction of the objects that they contain
+     *   (`packingRatio`), and per object stream (`streams`) the number of
+     *   objects and the sizes of the encoded and decoded data.
+     */
+
+    /**
+     * Collects statistics about all objects in the document, which (unlike
+     * `stats`) doesn't depend on the objects that were used while rendering.
+     * @param {Object} [options] - An object with an optional `decodeStreams`
+     *   property, which can be set to `false` to skip decoding all streams; the
+     *   `decodedBytes` properties are then `null`.
+     * @returns {XRefStatistics}
+     */
+    getStatistics({ decodeStreams = true, } = {}) {
+      const statistics = {
+        entries: { free: 0, uncompressed: 0, compressed: 0, },
+        types: Object.create(null),
+        untypedObjects: 0,
+        unreadableObjects: 0,
+        streams: {
+          count: 0,
+          filters: Object.create(null),
+          encodedBytes: 0,
+          decodedBytes: (decodeStreams ? 0 : null),
+        },
+        objectStreams: { count: 0, packingRatio: 0, streams: [], },
+      };
+      const { entries, streams, objectStreams, } = statistics;
+
+      for (let num = 0, ii = this.entries.length; num < ii; num++) {
+        const xrefEntry = this.entries[num];
+        if (!xrefEntry) {
+          continue;
+        }
+        if (xrefEntry.free || !this.getEntry(num)) {
+          entries.free++;
+          continue;
+        }
+        const ref = Ref.get(num, xrefEntry.uncompressed ? xrefEntry.gen : 0);
+        if (xrefEntry.uncompressed) {
+          entries.uncompressed++;
+        } else {
+          entries.compressed++;
+        }
+
+        let obj;
+        try {
+          obj = this.fetch(ref);
+        } catch (ex) {
+          if (ex instanceof MissingDataException) {
+            throw ex;
           }
+          statistics.unreadableObjects++;
+          continue;
+        }
+        const dict = (isStream(obj) ? obj.dict : obj);
+        if (!isDict(dict)) {
+          continue;
+        }
+        const type = dict.get('Type');
+        if (isName(type)) {
+          statistics.types[type.name] = (statistics.types[type.name] || 0) + 1;
+        } else {
+          statistics.untypedObjects++;
+        }
+        if (!isStream(obj)) {
+          continue;
+        }
 
-          this.startXRefQueue.shift();
+        streams.count++;
+        let filters = dict.get('Filter', 'F');
+        filters = (Array.isArray(filters) ? filters : [filters]);
+        for (const filter of filters) {
+          if (isName(filter)) {
+            streams.filters[filter.name] =
+              (streams.filters[filter.name] || 0) + 1;
+          }
+        }
+        const baseStream = getBaseStream(obj), length = dict.get('Length');
+        const encodedBytes = (baseStream ?
+                              baseStream.end - baseStream.start :
+                              (Number.isInteger(length) ? length : 0));
+        let decodedBytes = null;
+        if (decodeStreams) {
+          try {
+            obj.reset();
+            decodedBytes = obj.getBytes().length;
+            obj.reset();
+          } catch (ex) {
+            if (ex instanceof MissingDataException) {
+              throw ex;
+            }
+            statistics.unreadableObjects++;
+          }
+        }
+        streams.encodedBytes += encodedBytes;
+        if (decodedBytes !== null) {
+          streams.decodedBytes += decodedBytes;
         }
 
-        return this.topDict;
-      } catch (e) {
-        if (e instanceof MissingDataException) {
-          throw e;
+        if (isName(type, 'ObjStm')) {
+          const objectCount = dict.get('N');
+          objectStreams.streams.push({
+            ref,
+            objectCount: (Number.isInteger(objectCount) ? objectCount : 0),
+            encodedBytes,
+            decodedBytes,
+          });
         }
-        info('(while reading XRef): ' + e);
       }
-
-      if (recoveryMode) {
-        return undefined;
+      objectStreams.count = objectStreams.streams.length;
+      const objectCount = entries.uncompressed + entries.compressed;
+      if (objectCount > 0) {
+        objectStreams.packingRatio = entries.compressed / objectCount;
       }
-      throw new XRefParseException();
+      return statistics;
     },
 
-    getEntry: function XRef_getEntry(i) {
-      var xrefEntry = this.entries[i];
-      if (xrefEntry && !xrefEntry.free && xrefEntry.offset) {
-        return xrefEntry;
+    /**
+     * Limits the memory used by the cache of parsed objects, see `XRefCache`.
+     * NOTE: Evicted objects are parsed again when fetched, which returns a new
+     * (but identical, and with the same `objId`) object.
+     * @param {Object} budget - An object with optional `maxCount` and
+     *   `maxSize` (the approximate size in bytes) properties.
+     */
+    setCacheBudget(budget) {
+      this.cache.setBudget(budget);
+    },
+
+    /**
+     * @returns {Ref} A reference, with an unused object number, that can be
+     *   used with `putObject` to add new objects to the document.
+     */
+    getNewRef() {
+      if (this._nextRefNum === null) {
+        const size = this.trailer && this.trailer.get('Size');
+        this._nextRefNum = Math.max(this.entries.length,
+                                    Number.isInteger(size) ? size : 0, 1);
       }
-      return null;
+      return Ref.get(this._nextRefNum++, 0);
     },
 
-    fetchIfRef: function XRef_fetchIfRef(obj, suppressEncryption) {
-      if (!isRef(obj)) {
-        return obj;
+    /**
+     * Adds, or replaces, an object in the document. The change is immediately
+     * visible through `fetch`, and is persisted by `incrementalUpdate`.
+     * @param {Ref} ref
+     * @param {*} obj - The new object, which must not be a `Ref`.
+     */
+    putObject(ref, obj) {
+      if (this._readOnly) {
+        throw new Error('XRef.putObject - the XRef is read-only.');
       }
-      return this.fetch(obj, suppressEncryption);
+      if (!isRef(ref)) {
+        throw new Error('ref object is not a reference');
+      }
+      if (isRef(obj)) {
+        throw new FormatError('Indirect objects cannot be references.');
+      }
+      this.cache.delete(ref.num);
+      this._changes.set(ref.num, { ref, obj, free: false, });
     },
 
-    fetch: function XRef_fetch(ref, suppressEncryption) {
+    /**
+     * Removes an object from the document, by marking its entry as free.
+     * @param {Ref} ref
+     */
+    removeObject(ref) {
+      if (this._readOnly) {
+        throw new Error('XRef.removeObject - the XRef is read-only.');
+      }
       if (!isRef(ref)) {
         throw new Error('ref object is not a reference');
       }
-      var num = ref.num;
-      if (num in this.cache) {
-        var cacheEntry = this.cache[num];
-        // In documents with Object Streams, it's possible that cached `Dict`s
-        // have not been assigned an `objId` yet (see e.g. issue3115r.pdf).
-        if (cacheEntry instanceof Dict && !cacheEntry.objId) {
-          cacheEntry.objId = ref.toString();
-        }
-        return cacheEntry;
+      this.cache.delete(ref.num);
+      this._changes.set(ref.num, { ref, obj: null, free: true, });
+    },
+
+    get hasChanges() {
+      return this._changes.size > 0;
+    },
+
+    /**
+     * Saves the objects changed through `putObject` and `removeObject` as an
+     * incremental update, see the specification (7.5.6): the objects are
+     * appended after the existing data, followed by a new cross-reference
+     * section (using the same format as the original file) and trailer.
+     * NOTE: This requires that the entire file has been loaded, and that the
+     * document wasn't opened in recovery mode (use `repairAndSave` instead).
+     * @returns {Uint8Array} The data of the complete, updated, file.
+     */
+    incrementalUpdate() {
+      if (this.encrypt) {
+        throw new Error(
+          'XRef.incrementalUpdate - encrypted documents are not supported.');
+      }
+      if (this._recoveryMode) {
+        // The new section would have to point to the corrupt cross-reference
+        // data, through its /Prev entry, hence the file must be rewritten.
+        throw new Error('XRef.incrementalUpdate - not supported for ' +
+                        'recovered documents, use `repairAndSave` instead.');
+      }
+      const stream = this.stream, buffer = new OutputBuffer();
+      const originalData = getStreamByteRange(stream, stream.start, stream.end);
+      buffer.write(originalData);
+      const lastByte = originalData[originalData.length - 1];
+      if (lastByte !== /* LF = */ 0x0A && lastByte !== /* CR = */ 0x0D) {
+        buffer.write('\n');
       }
 
-      var xrefEntry = this.getEntry(num);
+      const entries = new Map();
+      let size = this.trailer.get('Size');
+      size = (Number.isInteger(size) ? size : 0);
+
+      const nums = Array.from(this._changes.keys()).sort((a, b) => a - b);
+      for (const num of nums) {
+        const { ref, obj, free, } = this._changes.get(num);
+        if (free) {
+          // Increment the generation number, such that the object number
+          // can be re-used (with the new generation number) later on.
+          entries.set(num, { offset: 0, gen: ref.gen + 1, free: true, });
+        } else {
+          entries.set(num, {
+            offset: buffer.length,
+            gen: ref.gen,
+            free: false,
+          });
+          writeIndirectObject(buffer, ref, obj);
+        }
+        size = Math.max(size, num + 1);
+      }
+      // Update the linked list of free objects, which starts at object 0.
+      if (Array.from(entries.values()).some((entry) => entry.free)) {
+        entries.set(0, { offset: 0, gen: 65535, free: true, });
+        linkFreeEntries(entries);
+      }
 
-      // the referenced entry can be free
-      if (xrefEntry === null) {
-        return (this.cache[num] = null);
+      const trailerDict = new Dict(null);
+      for (const key of ['Root', 'Info', 'ID']) {
+        if (this.trailer.has(key)) {
+          trailerDict.set(key, this.trailer.getRaw(key));
+        }
       }
+      trailerDict.set('Prev', this._startXRef);
 
-      if (xrefEntry.uncompressed) {
-        xrefEntry = this.fetchUncompressed(ref, xrefEntry, suppressEncryption);
+      if (this._xrefFormat === 'stream') {
+        const xrefStreamRef = Ref.get(Math.max(size, this._nextRefNum || 0), 0);
+        trailerDict.set('Size', xrefStreamRef.num + 1);
+        writeXRefStream(buffer, xrefStreamRef, entries, trailerDict);
       } else {
-        xrefEntry = this.fetchCompressed(ref, xrefEntry, suppressEncryption);
-      }
-      if (isDict(xrefEntry)) {
-        xrefEntry.objId = ref.toString();
-      } else if (isStream(xrefEntry)) {
-        xrefEntry.dict.objId = ref.toString();
+        trailerDict.set('Size', size);
+        writeXRefTable(buffer, entries, trailerDict);
       }
-      return xrefEntry;
+      return buffer.getBytes();
     },
 
-    fetchUncompressed(ref, xrefEntry, suppressEncryption = false) {
-      var gen = ref.gen;
-      var num = ref.num;
-      if (xrefEntry.gen !== gen) {
-        throw new XRefEntryException(`Inconsistent generation in XRef: ${ref}`);
+    /**
+     * Writes a complete, rewritten, copy of the document, which is intended
+     * for documents that could only be opened through `indexObjects` (i.e. in
+     * recovery mode). All readable objects, including the changes made with
+     * `putObject` and `removeObject`, are written uncompressed with correct
+     * stream /Length entries, followed by a new cross-reference table and the
+     * trailer dictionary that was found when parsing the document. Since the
+     * layout of the file changes, linearization data is not written.
+     * NOTE: This requires that the entire file has been loaded.
+     * @returns {Uint8Array} The data of the repaired file.
+     */
+    repairAndSave() {
+      if (this.encrypt) {
+        throw new Error(
+          'XRef.repairAndSave - encrypted documents are not supported.');
       }
-      var stream = this.stream.makeSubStream(xrefEntry.offset +
-                                             this.stream.start);
-      const parser = new Parser({
-        lexer: new Lexer(stream),
-        xref: this,
-        allowStreams: true,
-      });
-      var obj1 = parser.getObj();
-      var obj2 = parser.getObj();
-      var obj3 = parser.getObj();
+      const stream = this.stream, buffer = new OutputBuffer();
+      const header = bytesToString(getStreamByteRange(stream, stream.start,
+        Math.min(stream.start + 1024, stream.end)));
+      const version = /^%PDF-(\d+\.\d+)/.exec(header);
+      buffer.write(`%PDF-${version ? version[1] : '1.7'}\n`);
+      // Indicate that the file contains binary data, see the specification.
+      buffer.write('%\xE2\xE3\xCF\xD3\n');
+
+      const refs = [];
+      for (let num = 1, ii = this.entries.length; num < ii; num++) {
+        const xrefEntry = this.getEntry(num);
+        if (xrefEntry && !this._changes.has(num)) {
+          // The generation of compressed objects is always zero, since the
+          // `gen` property of the entry is the index in the object stream.
+          refs.push(Ref.get(num, xrefEntry.uncompressed ? xrefEntry.gen : 0));
+        }
+      }
+      for (const { ref, free, } of this._changes.values()) {
+        if (!free) {
+          refs.push(ref);
+        }
+      }
+      refs.sort((a, b) => a.num - b.num);
+      const linearizationNums = this._getLinearizationObjectNumbers(refs);
 
-      if (!Number.isInteger(obj1)) {
-        obj1 = parseInt(obj1, 10);
+      const entries = new Map();
+      let size = 1;
+      for (const ref of refs) {
+        if (linearizationNums.has(ref.num)) {
+          continue;
+        }
+        let obj;
+        try {
+          obj = this.fetch(ref);
+        } catch (ex) {
+          if (ex instanceof MissingDataException) {
+            throw ex;
+          }
+          this.diagnostics.report({
+            code: DiagnosticCode.REPAIR_OBJECT_SKIPPED,
+            message: `XRef.repairAndSave - skipping object ${ref}: "${ex}".`,
+            ref,
+            category: DiagnosticCategory.SKIPPED,
+          });
+          continue;
+        }
+        // The contents of object streams are written as individual objects,
+        // and the cross-reference streams are replaced by a single table.
+        if (isStream(obj) && (isName(obj.dict.get('Type'), 'ObjStm') ||
+                              isName(obj.dict.get('Type'), 'XRef'))) {
+          continue;
+        }
+        entries.set(ref.num, {
+          offset: buffer.length,
+          gen: ref.gen,
+          free: false,
+        });
+        writeIndirectObject(buffer, ref, obj);
+        size = ref.num + 1;
       }
-      if (!Number.isInteger(obj2)) {
-        obj2 = parseInt(obj2, 10);
+      for (let num = 0; num < size; num++) {
+        if (!entries.has(num)) {
+          const gen = (num === 0 ? 65535 : 0);
+          entries.set(num, { offset: 0, gen, free: true, });
+        }
       }
-      if (obj1 !== num || obj2 !== gen || !(obj3 instanceof Cmd)) {
-        throw new XRefEntryException(`Bad (uncompressed) XRef entry: ${ref}`);
+      linkFreeEntries(entries);
+
+      const trailerDict = new Dict(null);
+      for (const key of ['Root', 'Info', 'ID']) {
+        if (this.trailer.has(key)) {
+          trailerDict.set(key, this.trailer.getRaw(key));
+        }
       }
-      if (obj3.cmd !== 'obj') {
-        // some bad PDFs use "obj1234" and really mean 1234
-        if (obj3.cmd.startsWith('obj')) {
-          num = parseInt(obj3.cmd.substring(3), 10);
-          if (!Number.isNaN(num)) {
-            return num;
-          }
+      trailerDict.set('Size', size);
+      writeXRefTable(buffer, entries, trailerDict);
+      return buffer.getBytes();
+    },
+
+    /**
+     * Returns the numbers of the linearization parameter dictionary, which is
+     * the first object in the file, and of the hint streams, see the
+     * specification (Annex F). They describe the layout of the original file,
+     * hence they must not be copied into a rewritten file.
+     * @private
+     */
+    _getLinearizationObjectNumbers(refs) {
+      const nums = new Set();
+      let firstRef = null, firstOffset = Infinity;
+      for (const ref of refs) {
+        const xrefEntry = this.getEntry(ref.num);
+        if (xrefEntry && xrefEntry.uncompressed &&
+            !this._changes.has(ref.num) && xrefEntry.offset < firstOffset) {
+          firstRef = ref;
+          firstOffset = xrefEntry.offset;
         }
-        throw new XRefEntryException(`Bad (uncompressed) XRef entry: ${ref}`);
       }
-      if (this.encrypt && !suppressEncryption) {
-        xrefEntry = parser.getObj(this.encrypt.createCipherTransform(num, gen));
-      } else {
-        xrefEntry = parser.getObj();
+      let linDict = null;
+      try {
+        linDict = (firstRef ? this.fetch(firstRef) : null);
+      } catch (ex) {
+        if (ex instanceof MissingDataException) {
+          throw ex;
+        }
       }
-      if (!isStream(xrefEntry)) {
-        this.cache[num] = xrefEntry;
+      if (!isDict(linDict) || !linDict.has('Linearized')) {
+        return nums;
       }
-      return xrefEntry;
+      nums.add(firstRef.num);
+
+      // The /H array contains the offset and length of the primary hint
+      // stream, optionally followed by those of the overflow hint stream.
+      const hints = linDict.get('H');
+      const hintOffsets = (Array.isArray(hints) ?
+                           hints.filter((value, i) => i % 2 === 0) : []);
+      for (const ref of refs) {
+        const xrefEntry = this.getEntry(ref.num);
+        if (xrefEntry && xrefEntry.uncompressed &&
+            hintOffsets.includes(xrefEntry.offset)) {
+          nums.add(ref.num);
+        }
+      }
+      return nums;
     },
 
-    fetchCompressed(ref, xrefEntry, suppressEncryption = false) {
-      var tableOffset = xrefEntry.offset;
-      var stream = this.fetch(Ref.get(tableOffset, 0));
-      if (!isStream(stream)) {
-        throw new FormatError('bad ObjStm stream');
+    /**
+     * @typedef {Object} XRefRevision
+     * @property {number} index - The index of the revision, where the original
+     *   document has index 0 and every incremental update increments it.
+     * @property {number|null} startXRef - The offset of the cross-reference
+     *   section of the revision.
+     * @property {string|null} format - Either 'table' or 'stream', depending
+     *   on the kind of cross-reference section.
+     * @property {Array} byteRange - The `[begin, end)` range of bytes that were
+     *   added to the file by the revision.
+     * @property {Dict} trailer - The trailer dictionary of the revision.
+     * @property {Array} objectNumbers - The numbers of the objects that are
+     *   defined by the revision.
+     * @property {Array} freedObjectNumbers - The numbers of the objects that
+     *   are freed by the revision.
+     */
+
+    /**
+     * Returns the revisions of the document, oldest first, built from the
+     * chain of cross-reference sections that was followed by `readXRef`. For
+     * linearized files, the first-page and main sections form one revision.
+     * NOTE: When the XRef was rebuilt by `indexObjects` the original sections
+     * cannot be trusted, hence a single revision is returned in that case.
+     * @returns {Array<XRefRevision>}
+     */
+    getRevisions() {
+      if (this._revisions) {
+        return this._revisions.map(({ revision, }) => revision);
       }
-      var first = stream.dict.get('First');
-      var n = stream.dict.get('N');
-      if (!Number.isInteger(first) || !Number.isInteger(n)) {
-        throw new FormatError(
-          'invalid first and n parameters for ObjStm stream');
+      const sections = [];
+
+      if (this._recoveryMode) {
+        const entries = new Map();
+        for (let num = 0, ii = this.entries.length; num < ii; num++) {
+          if (this.entries[num]) {
+            entries.set(num, this.entries[num]);
+          }
+        }
+        sections.push({
+          startXRef: null, format: null, trailer: this.trailer, entries,
+          sectionOffsets: [null],
+        });
+      } else {
+        // To prevent an infinite loop, keep track of the visited sections
+        // (the /Prev entries may create a circular dependency).
+        const visited = new Set();
+        let section = this._xrefSections.get(this._startXRef);
+        let isMainSection = false;
+        while (section && section.trailer && !visited.has(section.startXRef)) {
+          visited.add(section.startXRef);
+
+          // The entries of a hybrid-reference file's /XRefStm stream belong to
+          // the same revision, but the table entries take precedence.
+          const entries = new Map(section.entries);
+          const xrefStmSection = this._xrefSections.get(section.xrefStm);
+          if (xrefStmSection) {
+            for (const [num, entry] of xrefStmSection.entries) {
+              if (!entries.has(num)) {
+                entries.set(num, entry);
+              }
+            }
+          }
+          if (isMainSection) {
+            // The main cross-reference section of a linearized file, see the
+            // specification (Annex F), belongs to the same revision as the
+            // first-page section; the entries of the latter take precedence.
+            const firstPageSection = sections[0];
+            for (const [num, entry] of entries) {
+              if (!firstPageSection.entries.has(num)) {
+                firstPageSection.entries.set(num, entry);
+              }
+            }
+            firstPageSection.sectionOffsets.push(section.startXRef);
+          } else {
+            sections.unshift({
+              startXRef: section.startXRef,
+              format: section.format,
+              trailer: section.trailer,
+              entries,
+              sectionOffsets: [section.startXRef],
+            });
+          }
+          // Only the first-page section of a linearized file has a /Prev entry
+          // pointing forward in the file, i.e. to the main section.
+          isMainSection = (Number.isInteger(section.prev) &&
+                           section.prev > section.startXRef);
+          section = this._xrefSections.get(section.prev);
+        }
       }
-      const parser = new Parser({
-        lexer: new Lexer(stream),
-        xref: this,
-        allowStreams: true,
+
+      const ends = sections.map(({ sectionOffsets, }) => {
+        return Math.max(...sectionOffsets.map((startXRef) => {
+          return this._findRevisionEnd(startXRef);
+        }));
       });
-      var i, entries = [], num, nums = [];
-      // read the object numbers to populate cache
-      for (i = 0; i < n; ++i) {
-        num = parser.getObj();
-        if (!Number.isInteger(num)) {
-          throw new FormatError(
-            `invalid object number in the ObjStm stream: ${num}`);
+      this._revisions = sections.map((section, index) => {
+        const end = ends[index];
+        let begin = 0;
+        for (const otherEnd of ends) {
+          if (otherEnd < end && otherEnd > begin) {
+            begin = otherEnd;
+          }
         }
-        nums.push(num);
-        var offset = parser.getObj();
-        if (!Number.isInteger(offset)) {
-          throw new FormatError(
-            `invalid object offset in the ObjStm stream: ${offset}`);
+        const objectNumbers = [], freedObjectNumbers = [];
+        for (const [num, entry] of section.entries) {
+          if (entry.free) {
+            if (num > 0) {
+              freedObjectNumbers.push(num);
+            }
+          } else {
+            objectNumbers.push(num);
+          }
         }
+        const sortNumbers = (a, b) => a - b;
+
+        return {
+          revision: {
+            index,
+            startXRef: section.startXRef,
+            format: section.format,
+            byteRange: [begin, end],
+            trailer: section.trailer,
+            objectNumbers: objectNumbers.sort(sortNumbers),
+            freedObjectNumbers: freedObjectNumbers.sort(sortNumbers),
+          },
+          entries: section.entries,
+        };
+      });
+      return this._revisions.map(({ revision, }) => revision);
+    },
+
+    /**
+     * @private
+     */
+    _findRevisionEnd(startXRef) {
+      const stream = this.stream, length = stream.end - stream.start;
+      if (startXRef === null) {
+        return length;
       }
-      // read stream objects for cache
-      for (i = 0; i < n; ++i) {
-        entries.push(parser.getObj());
-        // The ObjStm should not contain 'endobj'. If it's present, skip over it
-        // to support corrupt PDFs (fixes issue 5241, bug 898610, bug 1037816).
-        if (isCmd(parser.buf1, 'endobj')) {
-          parser.shift();
+      const bytes = getStreamByteRange(stream, stream.start + startXRef,
+                                       stream.end);
+      // Find the "%%EOF" marker, which ends every revision, and include any
+      // end-of-line marker that follows it.
+      const EOF_SIGNATURE = [0x25, 0x25, 0x45, 0x4F, 0x46];
+      for (let i = 0, ii = bytes.length - EOF_SIGNATURE.length; i <= ii; i++) {
+        let j = 0;
+        while (j < EOF_SIGNATURE.length && bytes[i + j] === EOF_SIGNATURE[j]) {
+          j++;
+        }
+        if (j === EOF_SIGNATURE.length) {
+          let end = i + j;
+          if (bytes[end] === /* CR = */ 0x0D) {
+            end++;
+          }
+          if (bytes[end] === /* LF = */ 0x0A) {
+            end++;
+          }
+          return startXRef + end;
         }
-        num = nums[i];
-        var entry = this.entries[num];
-        if (entry && entry.offset === tableOffset && entry.gen === i) {
-          this.cache[num] = entries[i];
+      }
+      return length;
+    },
+
+    /**
+     * Creates a read-only XRef, which provides a view of the document as it
+     * was after the given revision, e.g. before any later incremental updates
+     * were appended. Use it to create a `Catalog` for that revision.
+     * @param {number} index - The index of the revision, see `getRevisions`.
+     * @returns {XRef}
+     */
+    getRevisionXRef(index) {
+      const revisions = this.getRevisions();
+      if (!Number.isInteger(index) || index < 0 || index >= revisions.length) {
+        throw new Error(`XRef.getRevisionXRef - invalid index: "${index}".`);
+      }
+      const revision = revisions[index];
+      const xref = new XRef(this.stream, this.pdfManager);
+      // Newer revisions take precedence, as is the case in `readXRef`.
+      for (let i = index; i >= 0; i--) {
+        for (const [num, entry] of this._revisions[i].entries) {
+          if (!xref.entries[num]) {
+            xref.entries[num] = entry;
+          }
         }
       }
-      xrefEntry = entries[xrefEntry.gen];
-      if (xrefEntry === undefined) {
-        throw new XRefEntryException(`Bad (compressed) XRef entry: ${ref}`);
+      xref.trailer = cloneDict(revision.trailer, xref);
+      xref.topDict = xref.trailer;
+      xref.encrypt = this.encrypt;
+      xref.root = xref.trailer.get('Root');
+      if (!isDict(xref.root)) {
+        throw new FormatError('Invalid root reference');
       }
-      return xrefEntry;
+      xref._recoveryMode = this._recoveryMode;
+      xref._xrefSections = this._xrefSections;
+      xref._startXRef = revision.startXRef;
+      xref._xrefFormat = revision.format;
+      xref._revisions = this._revisions.slice(0, index + 1);
+      xref.diagnostics = this.diagnostics;
+      xref._readOnly = true;
+      return xref;
     },
 
-    async fetchIfRefAsync(obj, suppressEncryption) {
-      if (!isRef(obj)) {
-        return obj;
+    /**
+     * Compares two revisions of the document, see `getRevisions`, and lists
+     * the objects that were added, freed, or changed between them.
+     * @param {number} fromIndex - The index of the older revision.
+     * @param {number} toIndex - The index of the newer revision.
+     * @returns {Object} An object with `added` and `freed` arrays of `Ref`s,
+     *   and a `changed` array of `{ ref, differences, }` objects, where the
+     *   `differences` are given as an `Array<ObjectDifference>`.
+     */
+    compareRevisions(fromIndex, toIndex) {
+      if (fromIndex > toIndex) {
+        [fromIndex, toIndex] = [toIndex, fromIndex];
       }
-      return this.fetchAsync(obj, suppressEncryption);
-    },
+      const fromXRef = this.getRevisionXRef(fromIndex);
+      const toXRef = this.getRevisionXRef(toIndex);
+      const revisions = this.getRevisions();
+
+      // Only objects that were (re-)defined in between can differ.
+      const nums = new Set();
+      for (let i = fromIndex + 1; i <= toIndex; i++) {
+        const { objectNumbers, freedObjectNumbers, } = revisions[i];
+        objectNumbers.forEach(nums.add, nums);
+        freedObjectNumbers.forEach(nums.add, nums);
+      }
+      const added = [], freed = [], changed = [];
 
-    async fetchAsync(ref, suppressEncryption) {
-      try {
-        return this.fetch(ref, suppressEncryption);
-      } catch (ex) {
-        if (!(ex instanceof MissingDataException)) {
-          throw ex;
+      for (const num of Array.from(nums).sort((a, b) => a - b)) {
+        const fromEntry = fromXRef.getEntry(num);
+        const toEntry = toXRef.getEntry(num);
+        if (!fromEntry && !toEntry) {
+          continue;
+        }
+        if (!fromEntry) {
+          added.push(Ref.get(num, toEntry.gen));
+        } else if (!toEntry) {
+          freed.push(Ref.get(num, fromEntry.gen));
+        } else if (fromEntry !== toEntry) {
+          const fromRef = Ref.get(num, fromEntry.gen);
+          const toRef = Ref.get(num, toEntry.gen);
+          const differences = diffObjects(fromXRef.fetch(fromRef),
+                                          toXRef.fetch(toRef));
+          if (differences.length > 0) {
+            changed.push({ ref: toRef, differences, });
+          }
         }
-        await this.pdfManager.requestRange(ex.begin, ex.end);
-        return this.fetchAsync(ref, suppressEncryption);
       }
-    },
-
-    getCatalogObj: function XRef_getCatalogObj() {
-      return this.root;
+      return { added, freed, changed, };
     },
   };
 
@@ -1858,7 +6588,11 @@ class NameOrNumberTree {
     // contains the key we are looking for.
     while (kidsOrEntries.has('Kids')) {
       if (++loopCount > MAX_LEVELS) {
-        warn(`Search depth limit reached for "${this._type}" tree.`);
+        reportDiagnostic(xref, {
+          code: DiagnosticCode.NAME_TREE_DEPTH_LIMIT,
+          message: `Search depth limit reached for "${this._type}" tree.`,
+          ref: isRef(this.root) ? this.root : null,
+        });
         return null;
       }
 
@@ -1909,13 +6643,24 @@ class NameOrNumberTree {
 
       // Fallback to an exhaustive search, in an attempt to handle corrupt
       // PDF files where keys are not correctly ordered (fixes issue 10272).
-      info(`Falling back to an exhaustive search, for key "${key}", ` +
-           `in "${this._type}" tree.`);
+      reportDiagnostic(xref, {
+        severity: DiagnosticSeverity.INFO,
+        code: DiagnosticCode.NAME_TREE_EXHAUSTIVE_SEARCH,
+        message: `Falling back to an exhaustive search, for key "${key}", ` +
+          `in "${this._type}" tree.`,
+        ref: isRef(this.root) ? this.root : null,
+        category: DiagnosticCategory.RECOVERY,
+      });
       for (let m = 0, mm = entries.length; m < mm; m += 2) {
         const currentKey = xref.fetchIfRef(entries[m]);
         if (currentKey === key) {
-          warn(`The "${key}" key was found at an incorrect, ` +
-               `i.e. out-of-order, position in "${this._type}" tree.`);
+          reportDiagnostic(xref, {
+            code: DiagnosticCode.NAME_TREE_KEY_OUT_OF_ORDER,
+            message: `The "${key}" key was found at an incorrect, ` +
+              `i.e. out-of-order, position in "${this._type}" tree.`,
+            ref: isRef(this.root) ? this.root : null,
+            category: DiagnosticCategory.RECOVERY,
+          });
           return xref.fetchIfRef(entries[m + 1]);
         }
       }
@@ -1957,32 +6702,47 @@ var FileSpec = (function FileSpecClosure() {
                          stringToPDFString(root.get('Desc')) :
                          '';
     if (root.has('RF')) {
-      warn('Related file specifications are not supported');
+      reportDiagnostic(xref, {
+        code: DiagnosticCode.FILESPEC_UNSUPPORTED,
+        message: 'Related file specifications are not supported',
+      });
     }
     this.contentAvailable = true;
     if (!root.has('EF')) {
       this.contentAvailable = false;
-      warn('Non-embedded file specifications are not supported');
+      reportDiagnostic(xref, {
+        code: DiagnosticCode.FILESPEC_UNSUPPORTED,
+        message: 'Non-embedded file specifications are not supported',
+        category: DiagnosticCategory.SKIPPED,
+      });
     }
   }
 
-  function pickPlatformItem(dict) {
+  function pickPlatformKey(dict) {
     // Look for the filename in this order:
     // UF, F, Unix, Mac, DOS
-    if (dict.has('UF')) {
-      return dict.get('UF');
-    } else if (dict.has('F')) {
-      return dict.get('F');
-    } else if (dict.has('Unix')) {
-      return dict.get('Unix');
-    } else if (dict.has('Mac')) {
-      return dict.get('Mac');
-    } else if (dict.has('DOS')) {
-      return dict.get('DOS');
+    var keys = ['UF', 'F', 'Unix', 'Mac', 'DOS'];
+    for (var i = 0, ii = keys.length; i < ii; i++) {
+      if (dict.has(keys[i])) {
+        return keys[i];
+      }
     }
     return null;
   }
 
+  function pickPlatformItem(dict) {
+    var key = pickPlatformKey(dict);
+    return (key ? dict.get(key) : null);
+  }
+
+  function bytesToHexString(str) {
+    var hex = '';
+    for (var i = 0, ii = str.length; i < ii; i++) {
+      hex += (str.charCodeAt(i) & 0xFF).toString(16).padStart(2, '0');
+    }
+    return hex;
+  }
+
   FileSpec.prototype = {
     get filename() {
       if (!this._filename && this.root) {
@@ -2008,11 +6768,20 @@ var FileSpec = (function FileSpecClosure() {
         if (fileObj && isStream(fileObj)) {
           content = fileObj.getBytes();
         } else {
-          warn('Embedded file specification points to non-existing/invalid ' +
-            'content');
+          reportDiagnostic(xref, {
+            code: DiagnosticCode.FILESPEC_CONTENT_INVALID,
+            message: 'Embedded file specification points to ' +
+              'non-existing/invalid content',
+            ref: isRef(this.contentRef) ? this.contentRef : null,
+            category: DiagnosticCategory.SKIPPED,
+          });
         }
       } else {
-        warn('Embedded file specification does not have a content');
+        reportDiagnostic(this.xref, {
+          code: DiagnosticCode.FILESPEC_CONTENT_INVALID,
+          message: 'Embedded file specification does not have a content',
+          category: DiagnosticCategory.SKIPPED,
+        });
       }
       return content;
     },
@@ -2022,6 +6791,84 @@ var FileSpec = (function FileSpecClosure() {
         content: this.content,
       };
     },
+    /**
+     * Locates the embedded file stream, without reading its data, see
+     * `XRef.fetchStreamDict`.
+     * @returns {Object|null} An object with the (unfetched) stream reference
+     *   (`ref`), the stream dictionary (`dict`), and the `start` and `length`
+     *   of the encoded data; or `null` if there's no valid embedded file.
+     */
+    getContentLocation() {
+      if (!this.contentAvailable) {
+        return null;
+      }
+      var efDict = this.root.get('EF');
+      var key = isDict(efDict) ? pickPlatformKey(efDict) : null;
+      var ref = key ? efDict.getRaw(key) : null;
+      var location = null;
+      if (isRef(ref)) {
+        location = this.xref.fetchStreamDict(ref);
+      } else if (isStream(ref)) {
+        location = { dict: ref.dict, start: null, length: null, };
+      }
+      if (!location) {
+        reportDiagnostic(this.xref, {
+          code: DiagnosticCode.FILESPEC_CONTENT_INVALID,
+          message: 'Embedded file specification points to ' +
+            'non-existing/invalid content',
+          ref: isRef(ref) ? ref : null,
+          category: DiagnosticCategory.SKIPPED,
+        });
+        return null;
+      }
+      location.ref = ref;
+      return location;
+    },
+    /**
+     * The attachment properties, see the specification (7.11.4), which are
+     * read from the dictionaries only, i.e. no file data is loaded or decoded.
+     */
+    get metadata() {
+      var metadata = {
+        filename: this.filename,
+        description: this.description,
+        contentAvailable: false,
+        mimeType: null,
+        size: null,
+        creationDate: null,
+        modDate: null,
+        checkSum: null,
+      };
+      var location = this.getContentLocation();
+      if (!location) {
+        return metadata;
+      }
+      metadata.contentAvailable = true;
+      var subtype = location.dict.get('Subtype');
+      if (isName(subtype)) {
+        metadata.mimeType = subtype.name;
+      }
+      var params = location.dict.get('Params');
+      if (isDict(params)) {
+        var size = params.get('Size');
+        if (Number.isInteger(size) && size >= 0) {
+          metadata.size = size;
+        }
+        var creationDate = params.get('CreationDate');
+        if (isString(creationDate)) {
+          metadata.creationDate = creationDate;
+        }
+        var modDate = params.get('ModDate');
+        if (isString(modDate)) {
+          metadata.modDate = modDate;
+        }
+        var checkSum = params.get('CheckSum');
+        if (isString(checkSum)) {
+          metadata.checkSum = bytesToHexString(checkSum);
+        }
+      }
+      return metadata;
+    },
   };
   return FileSpec;
 })();
@@ -2164,6 +7011,11 @@ let ObjectLoader = (function() {
 
 export {
   Catalog,
+  DiagnosticCategory,
+  DiagnosticCode,
+  DiagnosticsCollector,
+  DiagnosticSeverity,
+  LinkPolicy,
   ObjectLoader,
   XRef,
   FileSpec,